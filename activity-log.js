@@ -0,0 +1,174 @@
+/**
+ * SuperNavi Bridge Extension - Activity Log
+ *
+ * Append-only record of what was done through the extension on this computer,
+ * for accreditation audits (who opened which slide, when, from which case).
+ * Kept in IndexedDB, which the service worker writes and the options page
+ * reads and exports. Entries are never edited; the only deletion is the
+ * retention period expiring.
+ *
+ * Entry shape:
+ *   id              Auto-increment key
+ *   at              Time of the event (ms)
+ *   event           'case-detected' | 'slide-opened' | 'case-enriched'
+ *   caseBase        Normalized case number, or null
+ *   externalCaseId  Namespaced case id ('pathoweb:AP26000230'), or null
+ *   slideIds        Slides involved ([] when none)
+ *   user            Account user name from the server, or null if not known yet
+ *   device          Paired device name (or id)
+ *   profile         Connection profile label
+ *   source          'page' | 'popup' | 'context-menu' | 'omnibox' | 'notification'
+ *   outcome         'ok' | 'partial' | 'skipped' | 'error'
+ *   error           ApiError code when outcome is 'error'
+ *
+ * Guarded like adapters.js.
+ */
+
+(() => {
+  if (globalThis.SuperNaviActivityLog) return;
+
+  const DB_NAME = 'supernavi-activity';
+  const DB_VERSION = 1;
+  const STORE = 'events';
+  const RETENTION_KEY = 'activityRetentionDays';
+  const DEFAULT_RETENTION_DAYS = 365;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const CSV_COLUMNS = ['at', 'event', 'caseBase', 'externalCaseId', 'slideIds', 'user', 'device', 'profile', 'source', 'outcome', 'error'];
+
+  let dbPromise = null;
+
+  function openDb() {
+    dbPromise ??= new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('at', 'at');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+    return dbPromise;
+  }
+
+  function done(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Walk the 'at' index inside `range`, calling `visit(cursor)` per entry.
+   * `visit` returns false to stop early.
+   */
+  async function walk(mode, range, direction, visit) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const request = tx.objectStore(STORE).index('at').openCursor(range, direction);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor && visit(cursor) !== false) cursor.continue();
+      };
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  async function append(entry) {
+    const db = await openDb();
+    const tx = db.transaction(STORE, 'readwrite');
+    await done(tx.objectStore(STORE).add({
+      at: Date.now(),
+      caseBase: null,
+      externalCaseId: null,
+      slideIds: [],
+      user: null,
+      device: null,
+      profile: null,
+      source: null,
+      outcome: 'ok',
+      error: null,
+      ...entry,
+    }));
+  }
+
+  /**
+   * Entries between `from` and `to` (ms, inclusive), newest first. `caseQuery`
+   * keeps the cases whose number contains it, ignoring case. At most `limit`
+   * entries are returned when given.
+   */
+  async function query({ from, to, caseQuery = '', limit = Infinity } = {}) {
+    const range = from != null || to != null
+      ? IDBKeyRange.bound(from ?? 0, to ?? Number.MAX_SAFE_INTEGER)
+      : null;
+    const needle = caseQuery.trim().toUpperCase();
+    const entries = [];
+    await walk('readonly', range, 'prev', cursor => {
+      const entry = cursor.value;
+      if (!needle || entry.caseBase?.includes(needle) || entry.externalCaseId?.toUpperCase().includes(needle)) {
+        entries.push(entry);
+      }
+      return entries.length < limit;
+    });
+    return entries;
+  }
+
+  /**
+   * Days entries are kept (chrome.storage.local: the log is per computer).
+   */
+  async function getRetentionDays() {
+    const { [RETENTION_KEY]: days } = await chrome.storage.local.get({ [RETENTION_KEY]: DEFAULT_RETENTION_DAYS });
+    return days;
+  }
+
+  async function setRetentionDays(days) {
+    await chrome.storage.local.set({ [RETENTION_KEY]: days });
+    await prune();
+  }
+
+  /**
+   * Delete entries older than the retention period. Resolves with how many.
+   */
+  async function prune() {
+    const cutoff = Date.now() - (await getRetentionDays()) * DAY_MS;
+    let removed = 0;
+    await walk('readwrite', IDBKeyRange.upperBound(cutoff, true), 'next', cursor => {
+      cursor.delete();
+      removed++;
+    });
+    return removed;
+  }
+
+  function csvCell(value) {
+    let text = Array.isArray(value) ? value.join(' ') : String(value ?? '');
+    // Spreadsheet apps would run a cell starting with these as a formula
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function toCsv(entries) {
+    const rows = entries.map(entry => CSV_COLUMNS.map(column =>
+      csvCell(column === 'at' ? new Date(entry.at).toISOString() : entry[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+  }
+
+  function toJson(entries) {
+    return JSON.stringify(entries.map(entry => ({ ...entry, at: new Date(entry.at).toISOString() })), null, 2);
+  }
+
+  globalThis.SuperNaviActivityLog = {
+    DEFAULT_RETENTION_DAYS,
+    append,
+    query,
+    getRetentionDays,
+    setRetentionDays,
+    prune,
+    toCsv,
+    toJson,
+  };
+})();
@@ -0,0 +1,313 @@
+/**
+ * SuperNavi Bridge Extension - Case System Adapters
+ *
+ * An adapter describes one case-management system: which URLs it runs on,
+ * how case numbers are found and normalized, which patient fields can be read
+ * from the page and the namespace used for external case IDs.
+ *
+ * Shared by content.js, the service worker (context menus) and extension
+ * pages. Loaded as a classic script and guarded so that injecting it twice
+ * into the same world is harmless. No DOM access outside the functions that
+ * take a document.
+ */
+
+(() => {
+  if (globalThis.SuperNaviAdapters) return;
+
+  /**
+   * Adapter shape:
+   *   id                  Stable identifier ('pathoweb')
+   *   name                Display name ('PathoWeb')
+   *   matches             Chrome match patterns the adapter applies to
+   *   casePattern         RegExp; group 1 (or the whole match) is the case number
+   *   selectors           Prominent elements searched before the title/body
+   *   listSelector        Cells holding case numbers on worklist (multi-case) pages
+   *   normalizePrefix     (caseId) => canonical case number
+   *   patientFields       { field: RegExp } — group 1 is the value
+   *   externalIdNamespace Prefix for externalCaseId ('pathoweb' → 'pathoweb:AP…')
+   *   exampleCases        Optional sample case numbers shown as search hints
+   *   detectCaseBase      Optional (doc) => caseBase; overrides the default strategy
+   */
+  const adapters = [];
+
+  const DEFAULT_SELECTORS = [
+    '.case-number', '.case-id', '#case-header', '#caseNumber',
+    '[data-case-id]', '.patient-header', '.exam-header',
+    'h1', 'h2', 'h3',
+    '.breadcrumb', '.page-title', '.header-title',
+  ];
+
+  const PATHOWEB_ADAPTER = {
+    id: 'pathoweb',
+    name: 'PathoWeb',
+    matches: [
+      '*://pathoweb.com.br/*',
+      '*://*.pathoweb.com.br/*',
+      'https://supernavi.app/demo/*',
+      'https://viewer.supernavi.app/demo/*',
+    ],
+    casePattern: /\b((?:AP|PA|IM|C)\d{6,12})\b/i,
+    selectors: [
+      '#botaoMenu',
+      '.case-number', '.case-id', '#case-header', '#caseNumber',
+      '[data-case-id]', '.patient-header', '.exam-header',
+      '.btn-cabecalho',
+      'h1', 'h2', 'h3',
+      '.breadcrumb', '.page-title', '.header-title',
+    ],
+    listSelector: 'table td',
+    /**
+     * Normalize case prefix: PA → AP (same department, different convention).
+     */
+    normalizePrefix(caseId) {
+      return caseId.toUpperCase().replace(/^PA/, 'AP');
+    },
+    patientFields: {
+      patientName: /Paciente:\s*(.+?)(?=\s+Id:|\s+Idade:|\n|\r|$)/i,
+      patientId: /\bId:\s*(\d+)/i,
+      age: /Idade:\s*(\d+)/i,
+      doctor: /[Mm](?:[ée]|Ã©)dico\s+requisitante:\s*(.+?)(?=\s+[Mm](?:[ée]|Ã©)dico|\n|\r|$)/i,
+    },
+    externalIdNamespace: 'pathoweb',
+    exampleCases: ['AP26000230', 'C26000588'],
+  };
+
+  const DEFAULT_LIST_SELECTOR = 'table td';
+
+  function registerAdapter(adapter) {
+    if (!adapter?.id || !adapter.casePattern) {
+      throw new Error('Adapter needs at least an id and a casePattern');
+    }
+    const existing = adapters.findIndex(a => a.id === adapter.id);
+    if (existing >= 0) adapters.splice(existing, 1);
+    adapters.push({
+      selectors: DEFAULT_SELECTORS,
+      listSelector: DEFAULT_LIST_SELECTOR,
+      patientFields: {},
+      normalizePrefix: caseId => caseId.toUpperCase(),
+      externalIdNamespace: adapter.id,
+      ...adapter,
+    });
+  }
+
+  function getAdapters() {
+    return [...adapters];
+  }
+
+  // ==========================================================================
+  // URL matching
+  // ==========================================================================
+
+  /**
+   * Convert a Chrome match pattern (scheme://host/path) into a RegExp.
+   * Supports '*' schemes, '*.' host wildcards and '*' in paths.
+   */
+  function matchPatternToRegExp(pattern) {
+    if (pattern === '<all_urls>') return /^(https?|file|ftp):\/\//;
+    const m = /^(\*|https?|file|ftp):\/\/([^/]*)(\/.*)?$/.exec(pattern);
+    if (!m) throw new Error(`Invalid match pattern: ${pattern}`);
+    const [, scheme, host, path = '/*'] = m;
+    const esc = s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+    const schemeRe = scheme === '*' ? 'https?' : esc(scheme);
+    let hostRe;
+    if (host === '*') hostRe = '[^/]*';
+    else if (host.startsWith('*.')) hostRe = `(?:[^/]*\\.)?${esc(host.slice(2))}`;
+    else hostRe = esc(host);
+    const pathRe = path.split('*').map(esc).join('.*');
+
+    return new RegExp(`^${schemeRe}://${hostRe}(?::\\d+)?${pathRe}$`, 'i');
+  }
+
+  function urlMatches(url, patterns) {
+    return patterns.some(p => {
+      try {
+        return matchPatternToRegExp(p).test(url);
+      } catch {
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Find the adapter for a URL. Extra adapters (e.g. built from user rules)
+   * are checked after the registered ones.
+   */
+  function findAdapterForUrl(url, extraAdapters = []) {
+    return [...adapters, ...extraAdapters].find(a => urlMatches(url, a.matches || [])) || null;
+  }
+
+  // ==========================================================================
+  // Case detection
+  // ==========================================================================
+
+  function extractCase(adapter, text) {
+    const match = text?.match(adapter.casePattern);
+    if (!match) return null;
+    return adapter.normalizePrefix(match[1] || match[0]);
+  }
+
+  /**
+   * First case number in free text (a selection, a link) recognized by any
+   * adapter, registered ones first. Returns { adapter, caseBase } or null.
+   */
+  function parseCaseNumber(text, extraAdapters = []) {
+    for (const adapter of [...adapters, ...extraAdapters]) {
+      const caseBase = extractCase(adapter, text);
+      if (caseBase) return { adapter, caseBase };
+    }
+    return null;
+  }
+
+  /**
+   * All unique (normalized) case numbers found in a piece of text.
+   */
+  function findAllCases(adapter, text) {
+    const flags = adapter.casePattern.flags.includes('g')
+      ? adapter.casePattern.flags
+      : adapter.casePattern.flags + 'g';
+    const re = new RegExp(adapter.casePattern.source, flags);
+    const unique = new Set();
+    for (const m of (text || '').matchAll(re)) {
+      unique.add(adapter.normalizePrefix(m[1] || m[0]));
+    }
+    return unique;
+  }
+
+  function detectCaseBase(adapter, doc) {
+    if (adapter.detectCaseBase) return adapter.detectCaseBase(doc);
+
+    // First try prominent elements (headers, case-specific selectors)
+    for (const sel of adapter.selectors) {
+      let els;
+      try {
+        els = doc.querySelectorAll(sel);
+      } catch {
+        continue; // Invalid user-supplied selector
+      }
+      for (const el of els) {
+        const found = extractCase(adapter, el.textContent);
+        if (found) return found;
+      }
+    }
+
+    const fromTitle = extractCase(adapter, doc.title);
+    if (fromTitle) return fromTitle;
+
+    // Fallback: scan body text, but only if there's a SINGLE unique case number.
+    // Multiple case numbers means it's a list page, not a single case view.
+    const bodyText = doc.body?.innerText?.substring(0, 10000) || '';
+    const unique = findAllCases(adapter, bodyText);
+    if (unique.size === 1) {
+      return [...unique][0];
+    }
+
+    return null;
+  }
+
+  // ==========================================================================
+  // Patient fields
+  // ==========================================================================
+
+  function scrapePatientFields(adapter, doc) {
+    const text = doc.body?.innerText || '';
+    const data = {};
+
+    for (const [field, pattern] of Object.entries(adapter.patientFields || {})) {
+      const match = text.match(pattern);
+      const value = match && (match[1] ?? match[0]);
+      if (value) data[field] = value.trim();
+    }
+
+    return Object.keys(data).length > 0 ? data : null;
+  }
+
+  // ==========================================================================
+  // User-defined sites
+  // ==========================================================================
+
+  /**
+   * Build an adapter from a custom site rule configured in the options page:
+   *   { id, name, hostPattern, namespace, selectors: [css], casePattern: 'regex',
+   *     prefixMap: { PA: 'AP' }, patientFields: { patientName: 'regex' } }
+   * Throws if the host pattern or any regex is invalid.
+   */
+  function createCustomAdapter(rule) {
+    matchPatternToRegExp(rule.hostPattern);
+
+    const prefixes = Object.entries(rule.prefixMap || {})
+      .map(([from, to]) => [from.toUpperCase(), String(to).toUpperCase()])
+      .sort((a, b) => b[0].length - a[0].length);
+
+    const patientFields = {};
+    for (const [field, source] of Object.entries(rule.patientFields || {})) {
+      patientFields[field] = new RegExp(source, 'i');
+    }
+
+    return {
+      id: `custom:${rule.id}`,
+      name: rule.name || rule.hostPattern,
+      matches: [rule.hostPattern],
+      casePattern: new RegExp(rule.casePattern, 'i'),
+      selectors: rule.selectors?.length ? rule.selectors : DEFAULT_SELECTORS,
+      listSelector: DEFAULT_LIST_SELECTOR,
+      normalizePrefix(caseId) {
+        const upper = caseId.toUpperCase();
+        const hit = prefixes.find(([from]) => upper.startsWith(from));
+        return hit ? hit[1] + upper.slice(hit[0].length) : upper;
+      },
+      patientFields,
+      externalIdNamespace: rule.namespace || `custom-${rule.id}`,
+      custom: true,
+    };
+  }
+
+  // Console output only with the debug option on, as everywhere else; this
+  // runs on every page load of a matching site
+  function debugWarn(...args) {
+    Promise.resolve()
+      .then(() => chrome.storage.sync.get({ debug: false }))
+      .then(({ debug }) => {
+        if (debug) console.warn('[SuperNavi]', ...args);
+      })
+      .catch(() => {});
+  }
+
+  /**
+   * Adapters for every valid rule; invalid ones are skipped, with a warning
+   * in debug mode (the options page reports them when they are saved).
+   */
+  function createCustomAdapters(rules) {
+    const custom = [];
+    for (const rule of rules || []) {
+      try {
+        custom.push(createCustomAdapter(rule));
+      } catch (err) {
+        debugWarn('Ignoring invalid custom site:', rule.name, err.message);
+      }
+    }
+    return custom;
+  }
+
+  function toExternalCaseId(adapter, caseBase) {
+    return caseBase ? `${adapter.externalIdNamespace}:${caseBase}` : undefined;
+  }
+
+  registerAdapter(PATHOWEB_ADAPTER);
+
+  globalThis.SuperNaviAdapters = {
+    registerAdapter,
+    getAdapters,
+    matchPatternToRegExp,
+    urlMatches,
+    findAdapterForUrl,
+    extractCase,
+    parseCaseNumber,
+    findAllCases,
+    detectCaseBase,
+    scrapePatientFields,
+    createCustomAdapter,
+    createCustomAdapters,
+    toExternalCaseId,
+  };
+})();
@@ -0,0 +1,145 @@
+/**
+ * SuperNavi Bridge Extension - Cloud API Client
+ *
+ * fetch() wrapper used by the service worker: per-request timeouts, retries
+ * with exponential backoff on network/5xx errors, Retry-After on 429 and
+ * errors carrying a stable `code` the UI can map to a message.
+ */
+
+const API_ERROR = Object.freeze({
+  NOT_CONFIGURED: 'not-configured',
+  UNAUTHORIZED: 'unauthorized', // 401 only: the credentials themselves were rejected
+  FORBIDDEN: 'forbidden', // 403: valid credentials, no access to this resource
+  NOT_FOUND: 'not-found',
+  RATE_LIMITED: 'rate-limited',
+  OFFLINE: 'offline',
+  TIMEOUT: 'timeout',
+  SERVER: 'server',
+  CLIENT: 'client', // Any other 4xx
+});
+
+const API_TIMEOUT_MS = 15_000;
+const API_MAX_RETRIES = 2;
+const API_BACKOFF_BASE_MS = 500;
+const API_MAX_RETRY_AFTER_MS = 10_000;
+
+class ApiError extends Error {
+  constructor(code, message, { status = 0, retryAfterMs = null, body = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.body = body; // Parsed JSON error body, when the server sent one
+  }
+
+  /**
+   * Errors where the cloud could not answer at all, as opposed to answering
+   * with a refusal. Worth retrying, and worth falling back to cached data.
+   */
+  get transient() {
+    return this.code === API_ERROR.OFFLINE
+      || this.code === API_ERROR.TIMEOUT
+      || this.code === API_ERROR.SERVER;
+  }
+}
+
+/**
+ * Retry-After is either delta-seconds or an HTTP date.
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function parseErrorBody(text) {
+  try {
+    const body = JSON.parse(text);
+    return body && typeof body === 'object' ? body : null;
+  } catch {
+    return null;
+  }
+}
+
+function errorForResponse(response, text) {
+  const { status } = response;
+  const detail = `API ${status}${text ? `: ${text}` : ''}`;
+  const body = parseErrorBody(text);
+
+  if (status === 401) return new ApiError(API_ERROR.UNAUTHORIZED, detail, { status, body });
+  if (status === 403) return new ApiError(API_ERROR.FORBIDDEN, detail, { status, body });
+  if (status === 404) return new ApiError(API_ERROR.NOT_FOUND, detail, { status, body });
+  if (status === 429) {
+    return new ApiError(API_ERROR.RATE_LIMITED, detail, {
+      status,
+      retryAfterMs: parseRetryAfter(response.headers.get('Retry-After')),
+      body,
+    });
+  }
+  if (status >= 500) return new ApiError(API_ERROR.SERVER, detail, { status, body });
+  return new ApiError(API_ERROR.CLIENT, detail, { status, body });
+}
+
+function backoffDelay(attempt) {
+  const base = API_BACKOFF_BASE_MS * 2 ** attempt;
+  return base + Math.random() * base * 0.3;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function fetchWithTimeout(url, init, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      throw new ApiError(API_ERROR.TIMEOUT, `Request timed out after ${timeoutMs}ms`);
+    }
+    throw new ApiError(API_ERROR.OFFLINE, err.message || 'Network error');
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Perform a JSON request. Resolves with the parsed body (null for 204) or
+ * rejects with an ApiError.
+ *
+ * Options: everything fetch() accepts, plus
+ *   timeoutMs  Per-attempt timeout (default 15s)
+ *   retries    Extra attempts on transient errors and 429 (default 2)
+ */
+async function apiRequest(url, options = {}) {
+  const { timeoutMs = API_TIMEOUT_MS, retries = API_MAX_RETRIES, ...init } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    let error;
+    try {
+      const response = await fetchWithTimeout(url, init, timeoutMs);
+      if (response.ok) {
+        if (response.status === 204) return null;
+        return response.json();
+      }
+      const text = await response.text().catch(() => '');
+      error = errorForResponse(response, text);
+    } catch (err) {
+      if (!(err instanceof ApiError)) throw err;
+      error = err;
+    }
+
+    const retriable = error.transient || error.code === API_ERROR.RATE_LIMITED;
+    if (!retriable || attempt >= retries) throw error;
+
+    let delay = backoffDelay(attempt);
+    if (error.code === API_ERROR.RATE_LIMITED && error.retryAfterMs !== null) {
+      // Don't hold the caller hostage to a long server-imposed wait
+      if (error.retryAfterMs > API_MAX_RETRY_AFTER_MS) throw error;
+      delay = error.retryAfterMs;
+    }
+    await sleep(delay);
+  }
+}
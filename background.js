@@ -5,20 +5,51 @@
  * Slides are matched to cases automatically by filename.
  */
 
-// In-memory cache for case status (30s TTL)
+importScripts('api-client.js', 'push-client.js', 'i18n.js', 'adapters.js', 'case-history.js', 'profiles.js', 'phi-policy.js', 'activity-log.js', 'watch-list.js', 'protocol.js');
+
+const { t, plural } = globalThis.SuperNaviI18n;
+const Profiles = globalThis.SuperNaviProfiles;
+const Phi = globalThis.SuperNaviPhiPolicy;
+const ActivityLog = globalThis.SuperNaviActivityLog;
+const WatchList = globalThis.SuperNaviWatchList;
+const Protocol = globalThis.SuperNaviProtocol;
+
+// Two-tier case status cache: an in-memory Map backed by chrome.storage.session,
+// which survives service worker suspension (but not a browser restart).
+// Entries with processing slides expire sooner since they are expected to change.
+// Keys carry the profile id, so two labs never see each other's statuses.
 const statusCache = new Map();
 const CACHE_TTL_MS = 30_000;
+const PROCESSING_CACHE_TTL_MS = 5_000;
+const STATUS_CACHE_PREFIX = 'status:';
+const STATUS_CACHE_MAX_AGE_MS = 12 * 60 * 60 * 1000;
+
+// Every read of the credentials waits for the move out of chrome.storage.sync
+const profilesMigrated = Profiles.migrateFromSync()
+  .catch(err => console.warn('[SuperNavi] Credential migration failed:', err.message));
 
 /**
- * Get configuration from chrome.storage.sync
+ * Active profile's server and credentials (chrome.storage.local) plus the
+ * synced debug flag. With `profileId`, that profile's instead, or null when
+ * it no longer exists.
  */
-async function getConfig() {
-  return chrome.storage.sync.get({
-    apiBaseUrl: 'https://cloud.supernavi.app',
-    apiKey: '',
-    deviceToken: '',
-    debug: false,
-  });
+async function getConfig(profileId) {
+  await profilesMigrated;
+  const [profile, { debug }] = await Promise.all([
+    profileId ? Profiles.getProfile(profileId) : Profiles.getActiveProfile(),
+    chrome.storage.sync.get({ debug: false }),
+  ]);
+  if (!profile) return null;
+  return {
+    profileId: profile.id,
+    apiBaseUrl: profile.apiBaseUrl,
+    apiKey: profile.apiKey,
+    deviceToken: profile.deviceToken,
+    deviceId: profile.deviceId,
+    deviceName: profile.deviceName,
+    profileLabel: Profiles.profileLabel(profile),
+    debug,
+  };
 }
 
 function log(...args) {
@@ -28,231 +59,1766 @@ function log(...args) {
 }
 
 /**
- * Make authenticated API call to SuperNavi cloud
+ * Credentials of a profile as request headers: the device token, else the
+ * legacy API key.
  */
-async function apiCall(path, options = {}) {
-  const config = await getConfig();
+function authHeaders(config) {
+  if (config.deviceToken) return { 'x-device-token': config.deviceToken };
+  if (config.apiKey) return { 'x-supernavi-key': config.apiKey };
+  return {};
+}
+
+/**
+ * Make authenticated API call to SuperNavi cloud. Rejects with ApiError.
+ * `options.config` pins the call to a profile read earlier; otherwise the
+ * active profile is used.
+ */
+async function apiCall(path, { config: pinnedConfig, ...options } = {}) {
+  const config = pinnedConfig || await getConfig();
 
   if (!config.deviceToken && !config.apiKey) {
-    throw new Error('Not configured: pair the device or set an API key');
+    throw new ApiError(API_ERROR.NOT_CONFIGURED, 'Not configured: pair the device or set an API key');
   }
 
   const url = `${config.apiBaseUrl}${path}`;
   log('API call:', options.method || 'GET', url);
 
-  const authHeaders = {};
-  if (config.deviceToken) {
-    authHeaders['x-device-token'] = config.deviceToken;
-  } else if (config.apiKey) {
-    authHeaders['x-supernavi-key'] = config.apiKey;
+  try {
+    return await apiRequest(url, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...authHeaders(config),
+        ...(options.headers || {}),
+      },
+    });
+  } catch (err) {
+    if (err.code === API_ERROR.UNAUTHORIZED && config.deviceToken) {
+      await handleRevokedDevice(config.profileId);
+    }
+    throw err;
   }
+}
 
-  const response = await fetch(url, {
-    ...options,
-    headers: {
-      'Content-Type': 'application/json',
-      ...authHeaders,
-      ...(options.headers || {}),
-    },
-  });
+/**
+ * The cloud rejected a profile's device token (revoked or expired): forget
+ * it and, if that profile is in use, send every open tab back to pairing.
+ */
+async function handleRevokedDevice(profileId) {
+  log('Device token rejected, clearing pairing of profile', profileId);
+  await Profiles.clearPairing(profileId);
+  await clearStatusCache(profileId);
+  const config = await getConfig();
+  if (config.profileId === profileId) {
+    broadcastToTabs({ type: 'AUTH_INFO', authenticated: false, reason: API_ERROR.UNAUTHORIZED, ...(await profileInfo()) });
+  }
+}
 
-  if (!response.ok) {
-    const text = await response.text().catch(() => '');
-    throw new Error(`API ${response.status}: ${text}`);
+async function broadcastToTabs(message) {
+  const tabs = await chrome.tabs.query({});
+  for (const tab of tabs) {
+    // Tabs without our content script reject; that's expected
+    chrome.tabs.sendMessage(tab.id, message).catch(() => {});
   }
+}
 
-  return response.json();
+/**
+ * Serializable error payload for messages to the UI
+ */
+function errorPayload(err) {
+  return { error: err.message, code: err.code || API_ERROR.SERVER };
 }
 
 /**
- * Get case status from cloud (slides matched automatically by filename)
+ * Status cache
  */
-async function getCaseStatus(caseBase) {
-  const cacheKey = caseBase.toUpperCase();
-  const cached = statusCache.get(cacheKey);
+function isCacheFresh(entry) {
+  const ttl = entry.data?.processingSlides?.length ? PROCESSING_CACHE_TTL_MS : CACHE_TTL_MS;
+  return Date.now() - entry.timestamp < ttl;
+}
 
-  if (cached && Date.now() - cached.timestamp < CACHE_TTL_MS) {
-    log('Cache hit for', cacheKey);
-    return cached.data;
+function statusCacheKey(profileId, caseBase) {
+  return `${profileId}:${caseBase.toUpperCase()}`;
+}
+
+async function readStatusCache(profileId, caseBase) {
+  const key = statusCacheKey(profileId, caseBase);
+  if (statusCache.has(key)) return statusCache.get(key);
+
+  const storageKey = STATUS_CACHE_PREFIX + key;
+  const stored = (await chrome.storage.session.get(storageKey))[storageKey];
+  if (stored) statusCache.set(key, stored);
+  return stored || null;
+}
+
+async function writeStatusCache(profileId, caseBase, data) {
+  const key = statusCacheKey(profileId, caseBase);
+  const entry = { data, timestamp: Date.now() };
+  statusCache.set(key, entry);
+  await chrome.storage.session.set({ [STATUS_CACHE_PREFIX + key]: entry })
+    .catch(err => log('Status cache write error:', err.message));
+  return entry;
+}
+
+async function invalidateStatusCache(profileId, caseBase) {
+  const key = statusCacheKey(profileId, caseBase);
+  statusCache.delete(key);
+  await chrome.storage.session.remove(STATUS_CACHE_PREFIX + key);
+}
+
+async function clearStatusCache(profileId) {
+  const prefix = `${profileId}:`;
+  for (const key of statusCache.keys()) {
+    if (key.startsWith(prefix)) statusCache.delete(key);
   }
+  const all = await chrome.storage.session.get(null);
+  await chrome.storage.session.remove(Object.keys(all).filter(k => k.startsWith(STATUS_CACHE_PREFIX + prefix)));
+}
 
-  const data = await apiCall(`/api/ui-bridge/cases/${encodeURIComponent(caseBase)}/status`);
-  statusCache.set(cacheKey, { data, timestamp: Date.now() });
-  return data;
+async function pruneStatusCache() {
+  const all = await chrome.storage.session.get(null);
+  const expired = Object.entries(all)
+    .filter(([k, v]) => k.startsWith(STATUS_CACHE_PREFIX) && Date.now() - v.timestamp > STATUS_CACHE_MAX_AGE_MS)
+    .map(([k]) => k);
+  if (expired.length) await chrome.storage.session.remove(expired);
 }
 
+pruneStatusCache().catch(err => log('Status cache prune error:', err.message));
+
 /**
- * Get extension auth info
+ * slideId → 'ready' | 'processing'
  */
-async function getAuthInfo() {
-  try {
-    const data = await apiCall('/api/ui-bridge/me');
-    return data;
-  } catch (err) {
-    log('Auth info error:', err.message);
-    return { authenticated: false, device: null, user: null };
+function slideStates(data) {
+  const states = new Map();
+  (data?.readySlides || []).forEach(s => states.set(s.slideId, 'ready'));
+  (data?.processingSlides || []).forEach(s => states.set(s.slideId, 'processing'));
+  return states;
+}
+
+function slideStateChanged(prev, next) {
+  const a = slideStates(prev);
+  const b = slideStates(next);
+  if (a.size !== b.size) return true;
+  for (const [id, state] of a) {
+    if (b.get(id) !== state) return true;
   }
+  return false;
 }
 
 /**
- * Handle messages from content script
+ * Fetch case status from cloud (slides matched automatically by filename)
+ * and store it in the cache of the profile it was asked with. When a slide
+ * changed state, the other tabs showing the case get the new status too
+ * (`tabId` is the one asking, which gets it from the caller).
  */
-chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
-  const tabId = sender.tab?.id;
+async function fetchCaseStatus(caseBase, config, { tabId = null } = {}) {
+  const data = await apiCall(`/api/ui-bridge/cases/${encodeURIComponent(caseBase)}/status`, { config });
+  const previous = await readStatusCache(config.profileId, caseBase);
+  await writeStatusCache(config.profileId, caseBase, data);
+  if (previous && slideStateChanged(previous.data, data)) {
+    log('Slide state changed for', caseBase);
+    await sendStatusToCaseTabs(config, caseBase, data, { exceptTabId: tabId });
+  }
+  return data;
+}
 
-  if (msg.type === 'GET_AUTH_INFO') {
-    getAuthInfo()
-      .then(data => {
-        if (tabId) {
-          chrome.tabs.sendMessage(tabId, { type: 'AUTH_INFO', ...data });
-        }
-      })
-      .catch(err => {
-        log('Auth info error:', err.message);
-        if (tabId) {
-          chrome.tabs.sendMessage(tabId, { type: 'AUTH_INFO', authenticated: false });
-        }
-      });
-    return true;
+/**
+ * Send a freshly fetched status to the tabs showing the case, when they
+ * use the profile it was fetched with.
+ */
+async function sendStatusToCaseTabs(config, caseBase, data, { exceptTabId = null } = {}) {
+  if ((await getConfig()).profileId !== config.profileId) return;
+  const tabCases = await getTabCases();
+  for (const [key, tabCase] of Object.entries(tabCases)) {
+    const tabId = Number(key);
+    if (tabCase !== caseBase || tabId === exceptTabId) continue;
+    chrome.tabs.sendMessage(tabId, { type: 'CASE_STATUS', caseBase, ...data, cache: { cached: false, fetchedAt: Date.now() } })
+      .catch(() => {});
+    updateActionBadge(tabId, data);
   }
+}
 
-  if (msg.type === 'CLAIM_PAIRING_CODE') {
-    const { code } = msg;
-    log('Claiming pairing code:', code);
+/**
+ * Get case status, from cache while fresh
+ */
+async function getCaseStatus(caseBase) {
+  const config = await getConfig();
+  const cached = await readStatusCache(config.profileId, caseBase);
+  if (cached && isCacheFresh(cached)) {
+    log('Cache hit for', caseBase);
+    return cached.data;
+  }
+  return fetchCaseStatus(caseBase, config);
+}
+
+/**
+ * Stale-while-revalidate case status for a tab. Resolves with the first
+ * answer, a cached entry when there is one, for the caller to reply with;
+ * if it is stale (or `force` is set) the cloud is asked again and the fresh
+ * status follows as a push to the tab. When the cloud is unreachable the
+ * last known status is sent flagged as offline.
+ */
+function caseStatusForTab(tabId, caseBase, { force = false } = {}) {
+  return new Promise(resolve => {
+    let answered = false;
+    const deliver = (message) => {
+      if (!answered) {
+        answered = true;
+        resolve(message);
+      } else if (tabId) {
+        chrome.tabs.sendMessage(tabId, message).catch(() => {});
+      }
+    };
+    const send = (data, cache) => {
+      deliver({ type: 'CASE_STATUS', caseBase, ...data, cache });
+      if (tabId) updateActionBadge(tabId, data);
+    };
 
     (async () => {
-      try {
-        const config = await getConfig();
-        const url = `${config.apiBaseUrl}/api/ui-bridge/pairing/claim`;
-        const response = await fetch(url, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ code }),
-        });
+      const config = await getConfig();
+      const cached = await readStatusCache(config.profileId, caseBase);
+      if (cached && !force) {
+        send(cached.data, { cached: true, stale: !isCacheFresh(cached), fetchedAt: cached.timestamp });
+        if (isCacheFresh(cached)) return;
+      }
 
-        if (!response.ok) {
-          const errorMsg = response.status === 404 ? 'Codigo invalido'
-            : response.status === 410 ? 'Codigo expirado ou ja usado'
-            : `Erro ${response.status}`;
-          if (tabId) {
-            chrome.tabs.sendMessage(tabId, { type: 'PAIRING_RESULT', success: false, error: errorMsg });
-          }
+      try {
+        const data = await fetchCaseStatus(caseBase, config, { tabId });
+        send(data, { cached: false, fetchedAt: Date.now() });
+      } catch (err) {
+        log('API error:', err.message);
+        if (cached && err.transient) {
+          send(cached.data, { cached: true, offline: true, fetchedAt: cached.timestamp });
           return;
         }
+        deliver({ type: 'CASE_STATUS_ERROR', caseBase, ...errorPayload(err) });
+      }
+    })().catch(err => deliver({ type: 'CASE_STATUS_ERROR', caseBase, ...errorPayload(err) }));
+  });
+}
 
-        const data = await response.json();
+/**
+ * Toolbar badge of a tab: ready-slide count of the case detected in it.
+ * Tab-specific, so switching tabs shows each tab's own count.
+ */
+function updateActionBadge(tabId, data) {
+  const ready = data?.readySlides?.length || 0;
+  chrome.action.setBadgeText({ tabId, text: ready ? String(ready) : '' }).catch(() => {});
+}
 
-        await chrome.storage.sync.set({
-          deviceToken: data.deviceToken,
-          deviceId: data.deviceId,
-          deviceName: data.deviceName,
-        });
+chrome.action.setBadgeBackgroundColor({ color: '#34C759' });
+chrome.action.setBadgeTextColor?.({ color: '#FFFFFF' });
 
-        log('Device paired:', data.deviceName);
+// A new page in the tab has to detect its case again
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.status !== 'loading' || !changeInfo.url) return;
+  updateActionBadge(tabId, null);
+  setTabCase(tabId, null);
+});
 
-        if (tabId) {
-          chrome.tabs.sendMessage(tabId, { type: 'PAIRING_RESULT', success: true, deviceName: data.deviceName });
-        }
+/**
+ * Case shown in each tab, for push updates to reach the tabs that care. In
+ * chrome.storage.session so it survives the service worker being stopped.
+ */
+const TAB_CASES_KEY = 'tabCases';
 
-        const authData = await getAuthInfo();
-        if (tabId) {
-          chrome.tabs.sendMessage(tabId, { type: 'AUTH_INFO', ...authData });
-        }
-      } catch (err) {
-        log('Pairing error:', err.message);
-        if (tabId) {
-          chrome.tabs.sendMessage(tabId, { type: 'PAIRING_RESULT', success: false, error: 'Erro de conexao' });
-        }
-      }
-    })();
+async function getTabCases() {
+  const { [TAB_CASES_KEY]: tabCases } = await chrome.storage.session.get({ [TAB_CASES_KEY]: {} });
+  return tabCases;
+}
 
-    return true;
-  }
+// Tabs report at once on startup: updates go one after the other
+let tabCasesQueue = Promise.resolve();
 
-  if (msg.type === 'CASE_DETECTED') {
-    log('Case detected:', msg.caseBase);
+function setTabCase(tabId, caseBase) {
+  tabCasesQueue = tabCasesQueue.then(async () => {
+    const tabCases = await getTabCases();
+    if ((tabCases[tabId] || null) === caseBase) return;
+    if (caseBase) tabCases[tabId] = caseBase;
+    else delete tabCases[tabId];
+    await chrome.storage.session.set({ [TAB_CASES_KEY]: tabCases });
+    updatePushStream();
+  }).catch(err => log('Tab case error:', err.message));
+  return tabCasesQueue;
+}
 
-    getCaseStatus(msg.caseBase)
-      .then(data => {
-        if (tabId) {
-          chrome.tabs.sendMessage(tabId, {
-            type: 'CASE_STATUS',
-            caseBase: msg.caseBase,
-            ...data,
-          });
-        }
-      })
-      .catch(err => {
-        log('API error:', err.message);
-        if (tabId) {
-          chrome.tabs.sendMessage(tabId, {
-            type: 'CASE_STATUS_ERROR',
-            caseBase: msg.caseBase,
-            error: err.message,
-          });
-        }
-      });
+/**
+ * Get status for many cases at once (list pages). Fresh cache entries are
+ * served locally; the rest go to the batch endpoint in chunks.
+ */
+const BATCH_STATUS_CHUNK = 50;
+
+async function getCaseStatusBatch(caseBases) {
+  const config = await getConfig();
+  const result = {};
+  const missing = [];
 
-    return true;
+  for (const caseBase of caseBases) {
+    const cached = await readStatusCache(config.profileId, caseBase);
+    if (cached && isCacheFresh(cached)) {
+      result[caseBase] = cached.data;
+    } else {
+      missing.push(caseBase);
+    }
   }
 
-  if (msg.type === 'REQUEST_VIEWER_LINK') {
-    log('Requesting viewer link for slide:', msg.slideId);
+  for (let i = 0; i < missing.length; i += BATCH_STATUS_CHUNK) {
+    const chunk = missing.slice(i, i + BATCH_STATUS_CHUNK);
+    const data = await apiCall('/api/ui-bridge/cases/status/batch', {
+      method: 'POST',
+      body: JSON.stringify({ caseBases: chunk }),
+      config,
+    });
+    for (const caseBase of chunk) {
+      const status = data.cases?.[caseBase] || null;
+      if (status) await writeStatusCache(config.profileId, caseBase, status);
+      result[caseBase] = status;
+    }
+  }
 
-    apiCall('/api/ui-bridge/viewer-link', {
+  return result;
+}
+
+/**
+ * A 404 from a server without the bulk endpoint, as opposed to one about the
+ * case or its slides, which names them in the body's `error`
+ * ('case-not-found', 'slide-not-found').
+ */
+function isMissingEndpoint(err) {
+  return err.code === API_ERROR.NOT_FOUND && !/case|slide/i.test(String(err.body?.error || ''));
+}
+
+/**
+ * Open several slides in the Viewer, in order. Prefers a single Viewer
+ * session from the bulk endpoint; servers without it (404) get one tab per
+ * slide instead. Resolves with { mode, failedSlideIds }.
+ */
+async function openViewerLinks({ slideIds, externalCaseId, patientData, config }) {
+  try {
+    const data = await apiCall('/api/ui-bridge/viewer-link/bulk', {
       method: 'POST',
-      body: JSON.stringify({
-        slideId: msg.slideId,
-        externalCaseId: msg.externalCaseId,
-        patientData: msg.patientData || undefined,
-      }),
-    })
-      .then(data => {
-        chrome.tabs.create({ url: data.url });
-        if (tabId) chrome.tabs.sendMessage(tabId, { type: 'VIEWER_LINK_OPENED', slideId: msg.slideId });
-      })
-      .catch(err => {
-        log('Viewer link error:', err.message);
-        if (tabId) chrome.tabs.sendMessage(tabId, { type: 'VIEWER_LINK_ERROR', slideId: msg.slideId, error: err.message });
+      body: JSON.stringify({ slideIds, externalCaseId, patientData: patientData || undefined }),
+      config,
+    });
+    await openViewerUrls([data.url]);
+    return { mode: 'session', failedSlideIds: [] };
+  } catch (err) {
+    if (!isMissingEndpoint(err)) throw err;
+    log('Bulk viewer link unavailable, opening tabs one by one');
+  }
+
+  const failedSlideIds = [];
+  const urls = [];
+  let lastError = null;
+  for (const slideId of slideIds) {
+    try {
+      const data = await apiCall('/api/ui-bridge/viewer-link', {
+        method: 'POST',
+        body: JSON.stringify({ slideId, externalCaseId, patientData: patientData || undefined }),
+        config,
       });
+      urls.push(data.url);
+    } catch (err) {
+      log('Viewer link error for', slideId, err.message);
+      failedSlideIds.push(slideId);
+      lastError = err;
+    }
+  }
+  // Nothing opened: report why (offline, revoked…), not a made-up not-found
+  if (!urls.length) throw lastError || new ApiError(API_ERROR.CLIENT, 'No slides to open');
+  await openViewerUrls(urls);
+  return { mode: 'tabs', failedSlideIds };
+}
+
+/**
+ * Viewer placement (viewerTarget in chrome.storage.sync):
+ *   new-tab    a new tab in the current window (default)
+ *   reuse-tab  navigate and focus the existing Viewer tab
+ *   popup      a dedicated popup window, reused while open
+ *   display    a normal window on the chosen display
+ * Popup and display windows remember their bounds, each mode its own.
+ * The Viewer tab/window in use is kept in chrome.storage.session; display id
+ * and bounds are per machine, so they live in chrome.storage.local.
+ */
+async function getViewerPrefs() {
+  const { viewerTarget } = await chrome.storage.sync.get({ viewerTarget: 'new-tab' });
+  const local = await chrome.storage.local.get({ viewerDisplayId: '', viewerWindowBounds: null });
+  return { viewerTarget, ...local };
+}
 
-    return true;
+async function getViewerSession() {
+  return chrome.storage.session.get({ viewerTabId: null, viewerWindowId: null });
+}
+
+/**
+ * The Viewer tab we opened before, or any open tab on the Viewer's origin.
+ */
+async function findViewerTab(url) {
+  const { viewerTabId } = await getViewerSession();
+  if (viewerTabId) {
+    const tab = await chrome.tabs.get(viewerTabId).catch(() => null);
+    if (tab) return tab;
   }
+  const tabs = await chrome.tabs.query({ url: `${new URL(url).origin}/*` }).catch(() => []);
+  return tabs.sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0))[0] || null;
+}
 
-  if (msg.type === 'ENRICH_CASE') {
-    log('Enriching case:', msg.caseBase, msg.patientData);
+async function findViewerWindow() {
+  const { viewerWindowId } = await getViewerSession();
+  if (!viewerWindowId) return null;
+  return chrome.windows.get(viewerWindowId, { populate: true }).catch(() => null);
+}
 
-    apiCall(`/api/ui-bridge/cases/${encodeURIComponent(msg.caseBase)}/enrich`, {
-      method: 'POST',
-      body: JSON.stringify({ patientData: msg.patientData }),
-    })
-      .then(data => {
-        log('Case enriched:', data);
-        if (tabId) chrome.tabs.sendMessage(tabId, { type: 'ENRICH_RESULT', success: true, ...data });
-      })
-      .catch(err => {
-        log('Enrich error:', err.message);
-        if (tabId) chrome.tabs.sendMessage(tabId, { type: 'ENRICH_RESULT', success: false, error: err.message });
-      });
+async function focusTab(tab) {
+  await chrome.tabs.update(tab.id, { active: true });
+  await chrome.windows.update(tab.windowId, { focused: true });
+}
+
+/**
+ * Window geometry for a new Viewer window: the bounds remembered for this
+ * placement if any, else the work area of the chosen display. In display
+ * mode, remembered bounds only count while they're on the chosen display.
+ */
+async function viewerWindowBounds(prefs) {
+  const saved = prefs.viewerWindowBounds?.[prefs.viewerTarget];
+  if (prefs.viewerTarget !== 'display') {
+    return saved ? { ...saved, maximize: false } : { width: 1280, height: 900, maximize: false };
+  }
+
+  const displays = await chrome.system.display.getInfo();
+  const display = displays.find(d => d.id === prefs.viewerDisplayId)
+    || displays.find(d => !d.isPrimary)
+    || displays[0];
+  const { left, top, width, height } = display.workArea;
+  if (saved && saved.left >= left && saved.top >= top
+    && saved.left + saved.width <= left + width && saved.top + saved.height <= top + height) {
+    return { ...saved, maximize: false };
+  }
+  return { left, top, width, height, maximize: true };
+}
+
+/**
+ * Open Viewer URLs according to the placement preference. The first URL goes
+ * to the Viewer tab/window; any others follow as tabs next to it.
+ */
+async function openViewerUrls(urls) {
+  const prefs = await getViewerPrefs();
+  const [first, ...rest] = urls;
+
+  if (prefs.viewerTarget === 'reuse-tab') {
+    const existing = await findViewerTab(first);
+    let tab;
+    if (existing) {
+      tab = await chrome.tabs.update(existing.id, { url: first });
+      await focusTab(tab);
+    } else {
+      tab = await chrome.tabs.create({ url: first });
+    }
+    await chrome.storage.session.set({ viewerTabId: tab.id });
+    for (const [i, url] of rest.entries()) {
+      await chrome.tabs.create({ url, windowId: tab.windowId, index: tab.index + i + 1, active: false });
+    }
+    return;
+  }
+
+  if (prefs.viewerTarget === 'popup' || prefs.viewerTarget === 'display') {
+    const type = prefs.viewerTarget === 'popup' ? 'popup' : 'normal';
+    const existing = await findViewerWindow();
+    let win = existing;
+    if (existing) {
+      const tab = existing.tabs.find(candidate => candidate.active) || existing.tabs[0];
+      await chrome.tabs.update(tab.id, { url: first });
+      await chrome.windows.update(existing.id, { focused: true });
+    } else {
+      const { maximize, ...bounds } = await viewerWindowBounds(prefs);
+      win = await chrome.windows.create({ url: first, type, focused: true, ...bounds });
+      if (maximize) await chrome.windows.update(win.id, { state: 'maximized' });
+      await chrome.storage.session.set({ viewerWindowId: win.id });
+    }
+    // Popup windows have no tab strip: extra slides go to the last normal window
+    for (const url of rest) {
+      await chrome.tabs.create(type === 'normal' ? { url, windowId: win.id, active: false } : { url, active: false });
+    }
+    return;
+  }
+
+  for (const [i, url] of urls.entries()) {
+    // Sequential creates keep the tab strip in the requested order
+    await chrome.tabs.create({ url, active: i === 0 });
+  }
+}
+
+/**
+ * Open a slide next to the Viewer already on screen, for side-by-side
+ * comparison: the Viewer window takes the left half of its display and the
+ * new slide opens in a window on the right half. Without an open Viewer the
+ * slide opens like any other.
+ */
+async function openViewerAlongside(url) {
+  const viewerTab = await findViewerTab(url);
+  const viewerWindow = viewerTab && await chrome.windows.get(viewerTab.windowId).catch(() => null);
+  if (!viewerWindow) {
+    await openViewerUrls([url]);
+    return;
+  }
+
+  const displays = await chrome.system.display.getInfo();
+  const centerX = viewerWindow.left + viewerWindow.width / 2;
+  const centerY = viewerWindow.top + viewerWindow.height / 2;
+  const display = displays.find(({ bounds: b }) =>
+    centerX >= b.left && centerX < b.left + b.width && centerY >= b.top && centerY < b.top + b.height)
+    || displays.find(d => d.isPrimary)
+    || displays[0];
+  const { left, top, width, height } = display.workArea;
+  const half = Math.floor(width / 2);
+
+  await chrome.windows.update(viewerWindow.id, { state: 'normal' });
+  await chrome.windows.update(viewerWindow.id, { left, top, width: half, height });
+  await chrome.windows.create({
+    url,
+    type: viewerWindow.type === 'popup' ? 'popup' : 'normal',
+    left: left + half,
+    top,
+    width: width - half,
+    height,
+    focused: true,
+  });
+}
+
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  setTabCase(tabId, null);
+  const { viewerTabId } = await getViewerSession();
+  if (tabId === viewerTabId) chrome.storage.session.remove('viewerTabId');
+});
+
+chrome.windows.onRemoved.addListener(async (windowId) => {
+  const { viewerWindowId } = await getViewerSession();
+  if (windowId === viewerWindowId) chrome.storage.session.remove('viewerWindowId');
+});
+
+// Remember where the user put the Viewer window, for next time in the same
+// placement: a popup's size says nothing about the display window
+chrome.windows.onBoundsChanged.addListener(async (win) => {
+  const { viewerWindowId } = await getViewerSession();
+  if (win.id !== viewerWindowId || win.state !== 'normal') return;
+  const prefs = await getViewerPrefs();
+  if (prefs.viewerTarget !== 'popup' && prefs.viewerTarget !== 'display') return;
+  const { left, top, width, height } = win;
+  // Only the per-mode entries: bounds saved by older versions were flat
+  const { popup, display } = prefs.viewerWindowBounds || {};
+  chrome.storage.local.set({
+    viewerWindowBounds: { popup, display, [prefs.viewerTarget]: { left, top, width, height } },
+  });
+});
+
+/**
+ * Public side of the profiles for the UI: the active one, its server (for
+ * thumbnails) and the list for the switcher. Never the credentials.
+ */
+async function profileInfo() {
+  const [profiles, config] = await Promise.all([Profiles.getProfiles(), getConfig()]);
+  return {
+    profileId: config.profileId,
+    apiBaseUrl: config.apiBaseUrl,
+    profiles: profiles.map(Profiles.publicProfile),
+  };
+}
+
+const USER_NAME_PREFIX = 'userName:';
 
-    return true;
-  }
-
-  if (msg.type === 'REFRESH_STATUS') {
-    statusCache.delete(msg.caseBase?.toUpperCase());
-    if (msg.caseBase) {
-      getCaseStatus(msg.caseBase)
-        .then(data => {
-          if (tabId) {
-            chrome.tabs.sendMessage(tabId, {
-              type: 'CASE_STATUS',
-              caseBase: msg.caseBase,
-              ...data,
-            });
-          }
-        })
-        .catch(err => log('Refresh error:', err.message));
+/**
+ * Get extension auth info
+ */
+async function getAuthInfo() {
+  const profile = await profileInfo();
+  try {
+    const data = await apiCall('/api/ui-bridge/me');
+    // The activity log names the user without asking the server on every event
+    await chrome.storage.session.set({ [`${USER_NAME_PREFIX}${profile.profileId}`]: data.user?.name || null });
+    return { ...data, ...profile };
+  } catch (err) {
+    log('Auth info error:', err.message);
+    return { authenticated: false, device: null, user: null, reason: err.code, ...profile };
+  }
+}
+
+/**
+ * Tell every tab about a new pairing, logout or profile switch.
+ */
+async function broadcastAuthInfo() {
+  broadcastToTabs({ type: 'AUTH_INFO', ...(await getAuthInfo()) });
+}
+
+/**
+ * Patient data (PHI) minimization
+ *
+ * Scraped patient data reaches the cloud only through here. The org policy
+ * (GET /api/ui-bridge/policy → { fields: { patientName: 'initials', … },
+ * hashSalt }) is cached per profile; 404 means the org has none.
+ */
+const ORG_POLICY_KEY = 'phiOrgPolicies';
+const ORG_POLICY_TTL_MS = 15 * 60 * 1000;
+
+async function getOrgPolicy(config, { force = false } = {}) {
+  const { [ORG_POLICY_KEY]: cache } = await chrome.storage.local.get({ [ORG_POLICY_KEY]: {} });
+  const cached = cache[config.profileId];
+  if (cached && !force && Date.now() - cached.fetchedAt < ORG_POLICY_TTL_MS) return cached.policy;
+
+  let policy;
+  try {
+    policy = await apiCall('/api/ui-bridge/policy', { config });
+  } catch (err) {
+    if (err.code !== API_ERROR.NOT_FOUND) {
+      // Keep enforcing the last policy seen rather than falling back to local
+      // settings; with none seen yet, whether the org forbids a field is unknown
+      log('Org policy error:', err.message);
+      if (!cached) throw err;
+      return cached.policy;
     }
-    return true;
+    policy = null;
+  }
+  cache[config.profileId] = { policy, fetchedAt: Date.now() };
+  await chrome.storage.local.set({ [ORG_POLICY_KEY]: cache });
+  return policy;
+}
+
+/**
+ * Apply consent and the per-field modes (org policy over local settings) to
+ * scraped patient data. Resolves with `{ data, fields, server }`, or
+ * undefined when nothing may leave; the caller sends `data` and records it
+ * with auditPatientData() once the request succeeded.
+ */
+async function preparePatientData(patientData) {
+  if (!patientData) return undefined;
+  const config = await getConfig();
+  const [consent, settings] = await Promise.all([Phi.getConsent(), Phi.getSettings()]);
+  if (!Phi.hasConsent(consent)) return undefined;
+
+  let orgPolicy;
+  try {
+    orgPolicy = await getOrgPolicy(config);
+  } catch {
+    return undefined; // Policy never read: nothing leaves until it can be
+  }
+  const { data, fields } = await Phi.minimize(patientData, Phi.effectiveModes(settings, orgPolicy), {
+    salt: orgPolicy?.hashSalt,
+  });
+  if (!Object.keys(fields).length) return undefined;
+  return { data, fields, server: config.apiBaseUrl };
+}
+
+/**
+ * Add prepared patient data to the send log, after the server took it, so a
+ * failed or timed-out request is never logged as sent. Logging never fails
+ * the request it records.
+ */
+async function auditPatientData(prepared, { action, externalCaseId }) {
+  if (!prepared) return;
+  try {
+    await Phi.recordAudit({
+      action,
+      externalCaseId: externalCaseId || null,
+      fields: prepared.fields,
+      server: prepared.server,
+    });
+  } catch (err) {
+    log('Send log error:', err.message);
+  }
+}
+
+async function openConsentIfNeeded() {
+  if (!Phi.isConsentCurrent(await Phi.getConsent())) {
+    chrome.tabs.create({ url: chrome.runtime.getURL('options.html#consent') });
+  }
+}
+
+chrome.runtime.onInstalled.addListener(({ reason }) => {
+  if (reason === 'install' || reason === 'update') openConsentIfNeeded();
+});
+
+/**
+ * Activity log
+ *
+ * Case views, slide openings and enrichments go to activity-log.js with the
+ * user, device and profile they happened under. Logging never fails the
+ * action it records.
+ */
+async function recordActivity(event, fields, pinnedConfig) {
+  try {
+    const config = pinnedConfig || await getConfig();
+    const userKey = `${USER_NAME_PREFIX}${config.profileId}`;
+    const { [userKey]: user } = await chrome.storage.session.get({ [userKey]: null });
+    await ActivityLog.append({
+      event,
+      user,
+      device: config.deviceName || config.deviceId || null,
+      profile: config.profileLabel,
+      ...fields,
+    });
+  } catch (err) {
+    log('Activity log error:', err.message);
+  }
+}
+
+const caseBaseOf = externalCaseId => externalCaseId?.split(':').pop() || null;
+
+const errorOutcome = err => ({ outcome: 'error', error: err.code || null });
+
+// Retention is applied when the browser starts, when the extension updates
+// and once a day, for browsers that stay open for weeks
+const ACTIVITY_PRUNE_ALARM = 'prune-activity-log';
+const ACTIVITY_PRUNE_PERIOD_MINUTES = 24 * 60;
+
+function pruneActivityLog() {
+  ActivityLog.prune().catch(err => log('Activity log prune error:', err.message));
+}
+
+async function startActivityPruning() {
+  pruneActivityLog();
+  if (!await chrome.alarms.get(ACTIVITY_PRUNE_ALARM)) {
+    await chrome.alarms.create(ACTIVITY_PRUNE_ALARM, { periodInMinutes: ACTIVITY_PRUNE_PERIOD_MINUTES });
   }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === ACTIVITY_PRUNE_ALARM) pruneActivityLog();
+});
+chrome.runtime.onStartup.addListener(startActivityPruning);
+chrome.runtime.onInstalled.addListener(startActivityPruning);
+
+/**
+ * Devices
+ *
+ * Paired devices of the account: GET /api/ui-bridge/devices lists them and
+ * DELETE /api/ui-bridge/devices/{id} revokes one, this computer's included.
+ */
+function deviceRevokePath(deviceId) {
+  return `/api/ui-bridge/devices/${encodeURIComponent(deviceId)}`;
+}
+
+/**
+ * Log out the active profile: revoke its device on the server, then forget
+ * the token and cached statuses and send every tab back to pairing. When the
+ * server can't be reached the revocation is queued with the token and
+ * retried (see retryRevocations), so the device doesn't stay valid on the
+ * server; `revoked` tells whether the server confirmed already.
+ */
+async function logout() {
+  const config = await getConfig();
+  let revoked = true;
+  if (config.deviceToken && config.deviceId) {
+    try {
+      await revokeOwnDevice(config);
+    } catch (err) {
+      log('Device revoke error:', err.message);
+      revoked = false;
+      await queueRevocation(config);
+    }
+  }
+
+  await Profiles.clearPairing(config.profileId);
+  await clearStatusCache(config.profileId);
+  broadcastToTabs({ type: 'AUTH_INFO', authenticated: false, reason: 'logout', ...(await profileInfo()) });
+  return { revoked };
+}
+
+/**
+ * DELETE a device with its own token. Goes around apiCall: the token may
+ * no longer be the profile's, so a 401 must not clear whatever is paired
+ * now. Already revoked or deleted on the server (401/404) counts as done.
+ */
+async function revokeOwnDevice({ apiBaseUrl, deviceId, deviceToken }) {
+  try {
+    await apiRequest(`${apiBaseUrl}${deviceRevokePath(deviceId)}`, {
+      method: 'DELETE',
+      headers: { 'Content-Type': 'application/json', 'x-device-token': deviceToken },
+    });
+  } catch (err) {
+    if (err.code !== API_ERROR.UNAUTHORIZED && err.code !== API_ERROR.NOT_FOUND) throw err;
+  }
+}
+
+const PENDING_REVOCATIONS_KEY = 'pendingRevocations';
+const REVOCATION_ALARM = 'retry-revocations';
+const REVOCATION_RETRY_MINUTES = 5;
+
+// Serializes edits of the pending list
+let revocationQueue = Promise.resolve();
+
+function editPendingRevocations(edit) {
+  revocationQueue = revocationQueue.then(async () => {
+    const { [PENDING_REVOCATIONS_KEY]: pending } = await chrome.storage.local.get({ [PENDING_REVOCATIONS_KEY]: [] });
+    const next = await edit(pending);
+    await chrome.storage.local.set({ [PENDING_REVOCATIONS_KEY]: next });
+    await syncRevocationAlarm(next);
+  });
+  return revocationQueue;
+}
+
+async function syncRevocationAlarm(pending) {
+  if (pending.length) {
+    if (!await chrome.alarms.get(REVOCATION_ALARM)) {
+      await chrome.alarms.create(REVOCATION_ALARM, { periodInMinutes: REVOCATION_RETRY_MINUTES });
+    }
+  } else {
+    await chrome.alarms.clear(REVOCATION_ALARM);
+  }
+}
+
+function queueRevocation({ apiBaseUrl, deviceId, deviceToken }) {
+  return editPendingRevocations(pending => [
+    ...pending.filter(entry => entry.deviceId !== deviceId),
+    { apiBaseUrl, deviceId, deviceToken },
+  ]);
+}
+
+/**
+ * Try the queued revocations again; the ones the server still doesn't
+ * confirm stay queued for the next alarm.
+ */
+function retryRevocations() {
+  return editPendingRevocations(async (pending) => {
+    const left = [];
+    for (const entry of pending) {
+      try {
+        await revokeOwnDevice(entry);
+        log('Queued revocation confirmed for device', entry.deviceId);
+      } catch (err) {
+        log('Queued revocation error:', err.message);
+        left.push(entry);
+      }
+    }
+    return left;
+  }).catch(err => log('Revocation retry error:', err.message));
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === REVOCATION_ALARM) retryRevocations();
+});
+chrome.runtime.onStartup.addListener(retryRevocations);
+
+async function revokeDevice(deviceId) {
+  const config = await getConfig();
+  if (deviceId === config.deviceId) return logout();
+  await apiCall(deviceRevokePath(deviceId), { method: 'DELETE', config });
+  return { revoked: true };
+}
+
+let logoDataUrlCache = null;
+
+/**
+ * The drawer logo as a data: URL, for content scripts on pages the icon is
+ * not web accessible to.
+ */
+async function logoDataUrl() {
+  if (!logoDataUrlCache) {
+    const response = await fetch(chrome.runtime.getURL('icons/icon48.png'));
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    logoDataUrlCache = `data:image/png;base64,${btoa(String.fromCharCode(...bytes))}`;
+  }
+  return logoDataUrlCache;
+}
+
+/**
+ * Requests from content scripts, the popup and the options page (see
+ * protocol.js). Each handler's return value is the reply; content scripts
+ * run it through the same code as the messages pushed to their tab, so
+ * replies keep a `type`.
+ */
+Protocol.listen({
+  GET_AUTH_INFO: () => getAuthInfo()
+    .then(data => ({ type: 'AUTH_INFO', ...data }))
+    .catch(err => {
+      log('Auth info error:', err.message);
+      return { type: 'AUTH_INFO', authenticated: false };
+    }),
+
+  CLAIM_PAIRING_CODE: async ({ code }) => {
+    log('Claiming pairing code:', code);
+    try {
+      const config = await getConfig();
+      const data = await apiRequest(`${config.apiBaseUrl}/api/ui-bridge/pairing/claim`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code }),
+        retries: 0,
+      });
+
+      await Profiles.updateProfile(config.profileId, {
+        deviceToken: data.deviceToken,
+        deviceId: data.deviceId,
+        deviceName: data.deviceName,
+      });
+
+      log('Device paired:', data.deviceName);
+
+      // Every open tab leaves its pairing view, not only the one that paired
+      await broadcastAuthInfo();
+      return { type: 'PAIRING_RESULT', success: true, deviceName: data.deviceName };
+    } catch (err) {
+      log('Pairing error:', err.message);
+      await SuperNaviI18n.ready();
+      const errorMsg = err.code === API_ERROR.NOT_FOUND ? t('pairInvalidCode')
+        : err.status === 410 ? t('pairCodeExpired')
+        : err.code === API_ERROR.RATE_LIMITED ? t('pairTooManyAttempts')
+        : err.transient ? t('pairConnectionError')
+        : t('httpError', err.status || '').trim();
+      return { type: 'PAIRING_RESULT', success: false, error: errorMsg, code: err.code };
+    }
+  },
+
+  // Drawer footer and options page: every tab follows the switch
+  SWITCH_PROFILE: ({ profileId }) => {
+    log('Switching to profile', profileId);
+    return Profiles.setActiveProfile(profileId)
+      .then(broadcastAuthInfo)
+      .then(() => ({ success: true }))
+      .catch(err => {
+        log('Profile switch error:', err.message);
+        return { success: false, error: err.message };
+      });
+  },
+
+  // Options page paired, unpaired or edited a profile
+  PROFILE_CHANGED: () => {
+    broadcastAuthInfo();
+  },
+
+  LOGOUT: () => logout()
+    .then(result => ({ success: true, ...result }))
+    .catch(err => {
+      log('Logout error:', err.message);
+      return { success: false, ...errorPayload(err) };
+    }),
+
+  // Options page: the account's devices
+  GET_DEVICES: () => apiCall('/api/ui-bridge/devices')
+    .then(data => ({ devices: data.devices || [] }))
+    .catch(err => {
+      log('Devices error:', err.message);
+      return { devices: [], ...errorPayload(err) };
+    }),
+
+  // Options page: the org's PHI policy, refreshed so locked fields are current
+  // Catalogs and icon for content scripts, which can't read the package
+  GET_MESSAGES: ({ lang }) => SuperNaviI18n.loadCatalog(lang).then(messages => ({ messages })),
+
+  GET_LOGO: () => logoDataUrl().then(url => ({ url })),
+
+  GET_ORG_POLICY: () => getConfig()
+    .then(config => getOrgPolicy(config, { force: true }))
+    .then(policy => ({ policy }))
+    .catch(err => ({ policy: null, ...errorPayload(err) })),
+
+  REVOKE_DEVICE: ({ deviceId }) => {
+    log('Revoking device:', deviceId);
+    return revokeDevice(deviceId)
+      .then(result => ({ success: true, ...result }))
+      .catch(err => {
+        log('Device revoke error:', err.message);
+        return { success: false, ...errorPayload(err) };
+      });
+  },
+
+  CASE_DETECTED: (msg, sender) => {
+    const tabId = sender.tab?.id;
+    log('Case detected:', msg.caseBase);
+    if (tabId) setTabCase(tabId, msg.caseBase);
+    recordActivity('case-detected', { caseBase: msg.caseBase, externalCaseId: msg.externalCaseId || null, source: 'page' });
+    return caseStatusForTab(tabId, msg.caseBase);
+  },
+
+  CASE_CLEARED: (msg, sender) => {
+    const tabId = sender.tab?.id;
+    if (tabId) {
+      updateActionBadge(tabId, null);
+      setTabCase(tabId, null);
+    }
+  },
+
+  REFRESH_STATUS: (msg, sender) => caseStatusForTab(sender.tab?.id, msg.caseBase, { force: true }),
+
+  // Popup search: one status, no tab involved
+  GET_CASE_STATUS: ({ caseBase }) => getCaseStatus(caseBase)
+    .then(data => ({ caseBase, ...data }))
+    .catch(err => {
+      log('Case status error:', err.message);
+      return { caseBase, ...errorPayload(err) };
+    }),
+
+  BATCH_CASE_STATUS: ({ caseBases }) => {
+    log('Batch status for', caseBases.length, 'cases');
+    return getCaseStatusBatch(caseBases)
+      .then(cases => ({ type: 'CASE_STATUS_BATCH', caseBases, cases }))
+      .catch(err => {
+        log('Batch status error:', err.message);
+        return { type: 'CASE_STATUS_BATCH', caseBases, cases: {}, ...errorPayload(err) };
+      });
+  },
+
+  REQUEST_VIEWER_LINK: (msg, sender) => {
+    log('Requesting viewer link for slide:', msg.slideId);
+    const slideActivity = {
+      caseBase: caseBaseOf(msg.externalCaseId),
+      externalCaseId: msg.externalCaseId || null,
+      slideIds: [msg.slideId],
+      source: sender.tab ? 'page' : 'popup',
+    };
+
+    return preparePatientData(msg.patientData)
+      .then(async (prepared) => {
+        const data = await apiCall('/api/ui-bridge/viewer-link', {
+          method: 'POST',
+          body: JSON.stringify({
+            slideId: msg.slideId,
+            externalCaseId: msg.externalCaseId,
+            patientData: prepared?.data,
+          }),
+        });
+        await auditPatientData(prepared, { action: 'viewer-link', externalCaseId: msg.externalCaseId });
+        return data;
+      })
+      .then(async data => {
+        await (msg.alongside ? openViewerAlongside(data.url) : openViewerUrls([data.url]));
+        recordActivity('slide-opened', { ...slideActivity, outcome: 'ok' });
+        return { type: 'VIEWER_LINK_OPENED', success: true, slideId: msg.slideId };
+      })
+      .catch(err => {
+        log('Viewer link error:', err.message);
+        recordActivity('slide-opened', { ...slideActivity, ...errorOutcome(err) });
+        // The slide may have been removed or reprocessed: drop the cached case
+        const caseBase = caseBaseOf(msg.externalCaseId);
+        if (caseBase && (err.code === API_ERROR.NOT_FOUND || err.status === 410)) {
+          getConfig().then(config => invalidateStatusCache(config.profileId, caseBase));
+        }
+        return {
+          type: 'VIEWER_LINK_ERROR',
+          success: false,
+          slideId: msg.slideId,
+          externalCaseId: msg.externalCaseId,
+          alongside: !!msg.alongside,
+          ...errorPayload(err),
+        };
+      });
+  },
+
+  REQUEST_VIEWER_LINKS: (msg) => {
+    log('Requesting viewer links for slides:', msg.slideIds);
+    const slidesActivity = {
+      caseBase: caseBaseOf(msg.externalCaseId),
+      externalCaseId: msg.externalCaseId || null,
+      source: 'page',
+    };
+
+    return preparePatientData(msg.patientData)
+      .then(async (prepared) => {
+        // Resolves only when at least one request with the data went through
+        const opened = await openViewerLinks({ ...msg, patientData: prepared?.data });
+        await auditPatientData(prepared, { action: 'viewer-link', externalCaseId: msg.externalCaseId });
+        return opened;
+      })
+      .then(({ mode, failedSlideIds }) => {
+        recordActivity('slide-opened', {
+          ...slidesActivity,
+          slideIds: msg.slideIds.filter(id => !failedSlideIds.includes(id)),
+          outcome: failedSlideIds.length ? 'partial' : 'ok',
+        });
+        return { type: 'VIEWER_LINKS_OPENED', slideIds: msg.slideIds, mode, failedSlideIds };
+      })
+      .catch(err => {
+        log('Viewer links error:', err.message);
+        recordActivity('slide-opened', { ...slidesActivity, slideIds: msg.slideIds, ...errorOutcome(err) });
+        return { type: 'VIEWER_LINKS_ERROR', slideIds: msg.slideIds, ...errorPayload(err) };
+      });
+  },
+
+  ENRICH_CASE: (msg) => {
+    log('Enriching case:', msg.caseBase);
+    const enrichActivity = { caseBase: msg.caseBase, externalCaseId: msg.externalCaseId || null, source: 'page' };
+
+    return preparePatientData(msg.patientData)
+      .then(async (prepared) => {
+        // Nothing the policy lets out: no call at all
+        if (!prepared) return { skipped: true };
+        const data = await apiCall(`/api/ui-bridge/cases/${encodeURIComponent(msg.caseBase)}/enrich`, {
+          method: 'POST',
+          body: JSON.stringify({ patientData: prepared.data }),
+        });
+        await auditPatientData(prepared, { action: 'enrich', externalCaseId: msg.externalCaseId });
+        return data;
+      })
+      .then(data => {
+        log('Case enriched:', data);
+        recordActivity('case-enriched', { ...enrichActivity, outcome: data?.skipped ? 'skipped' : 'ok' });
+        return { type: 'ENRICH_RESULT', success: true, ...data };
+      })
+      .catch(err => {
+        log('Enrich error:', err.message);
+        recordActivity('case-enriched', { ...enrichActivity, ...errorOutcome(err) });
+        return { type: 'ENRICH_RESULT', success: false, ...errorPayload(err) };
+      });
+  },
+
+  GET_PATIENT_CASES: (msg) => {
+    // The content script's key for the patient; the cloud gets the id only
+    // as the policy allows (hashed by default)
+    const { externalPatientId } = msg;
+    const separator = externalPatientId.indexOf(':');
+    const namespace = externalPatientId.slice(0, separator);
+    const patientId = externalPatientId.slice(separator + 1);
+    log('Patient cases for:', namespace);
+
+    return preparePatientData({ patientId })
+      .then(async (prepared) => {
+        if (!prepared) return null;
+        let cases;
+        try {
+          const path = `/api/ui-bridge/patients/${encodeURIComponent(`${namespace}:${prepared.data.patientId}`)}/cases`;
+          cases = (await apiCall(path)).cases || [];
+        } catch (err) {
+          // An unknown patient just has no cases yet; the server saw the id all the same
+          if (err.code !== API_ERROR.NOT_FOUND) throw err;
+          cases = [];
+        }
+        await auditPatientData(prepared, { action: 'patient-cases', externalCaseId: msg.externalCaseId });
+        return cases;
+      })
+      // null: the policy (or missing consent) keeps the id from being sent
+      .then(cases => ({ type: 'PATIENT_CASES', externalPatientId, cases: cases || [], disabled: !cases }))
+      .catch(err => {
+        log('Patient cases error:', err.message);
+        return { type: 'PATIENT_CASES', externalPatientId, cases: [], ...errorPayload(err) };
+      });
+  },
+});
+
+/**
+ * Keyboard shortcuts (chrome.commands): forwarded to the content script of the
+ * active tab, which owns the drawer.
+ */
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  const tabId = tab?.id ?? (await chrome.tabs.query({ active: true, currentWindow: true }))[0]?.id;
+  if (!tabId) return;
+  chrome.tabs.sendMessage(tabId, { type: 'COMMAND', command })
+    .catch(() => log('No content script in active tab for command:', command));
+});
+
+/**
+ * Custom site integrations: register content scripts for every custom site
+ * whose origin the user has granted. Registrations persist across sessions,
+ * but are rebuilt whenever the rules or granted permissions change.
+ */
+const CUSTOM_SCRIPT_PREFIX = 'custom-site-';
+const CONTENT_SCRIPT_FILES = ['adapters.js', 'i18n.js', 'protocol.js', 'case-history.js', 'watch-list.js', 'content.js'];
+
+async function syncCustomSiteScripts() {
+  const { customSites } = await chrome.storage.sync.get({ customSites: [] });
+
+  const registered = await chrome.scripting.getRegisteredContentScripts();
+  const stale = registered
+    .filter(s => s.id.startsWith(CUSTOM_SCRIPT_PREFIX))
+    .map(s => s.id);
+  if (stale.length) {
+    await chrome.scripting.unregisterContentScripts({ ids: stale });
+  }
+
+  const scripts = [];
+  for (const site of customSites) {
+    const granted = await chrome.permissions.contains({ origins: [site.hostPattern] }).catch(() => false);
+    if (!granted) {
+      log('Custom site without host permission, skipping:', site.hostPattern);
+      continue;
+    }
+    scripts.push({
+      id: CUSTOM_SCRIPT_PREFIX + site.id,
+      matches: [site.hostPattern],
+      js: CONTENT_SCRIPT_FILES,
+      css: ['ui.css'],
+      runAt: 'document_idle',
+      persistAcrossSessions: true,
+    });
+  }
+
+  if (scripts.length) {
+    await chrome.scripting.registerContentScripts(scripts);
+  }
+  log('Custom site scripts registered:', scripts.map(s => s.matches[0]));
+}
+
+// Saving a rule fires permissions.onAdded and storage.onChanged back to
+// back: runs go one after the other so their register calls don't collide
+let customSiteSyncQueue = Promise.resolve();
+
+function resyncCustomSiteScripts() {
+  customSiteSyncQueue = customSiteSyncQueue
+    .then(syncCustomSiteScripts)
+    .catch(err => log('Custom site sync error:', err.message));
+  return customSiteSyncQueue;
+}
+
+chrome.runtime.onInstalled.addListener(resyncCustomSiteScripts);
+chrome.permissions.onAdded.addListener(resyncCustomSiteScripts);
+chrome.permissions.onRemoved.addListener(resyncCustomSiteScripts);
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && changes.customSites) resyncCustomSiteScripts();
+});
+
+/**
+ * Context menu: "Open in SuperNavi" on selected text and links, on any page.
+ * The text goes through the same adapters as the content script (built-in
+ * and custom sites). A case with a single ready slide opens straight in the
+ * Viewer; otherwise the user picks in the drawer, when the tab runs our
+ * content script for that system, or in the popup opened as a small window.
+ */
+const MENU_OPEN_SELECTION = 'open-case-selection';
+const MENU_OPEN_LINK = 'open-case-link';
+
+async function createContextMenus() {
+  await SuperNaviI18n.ready();
+  await chrome.contextMenus.removeAll();
+  chrome.contextMenus.create({ id: MENU_OPEN_SELECTION, title: t('menuOpenSelection'), contexts: ['selection'] });
+  chrome.contextMenus.create({ id: MENU_OPEN_LINK, title: t('menuOpenLink'), contexts: ['link'] });
+}
+
+chrome.runtime.onInstalled.addListener(createContextMenus);
+SuperNaviI18n.onChange(() => {
+  chrome.contextMenus.update(MENU_OPEN_SELECTION, { title: t('menuOpenSelection') }).catch(() => {});
+  chrome.contextMenus.update(MENU_OPEN_LINK, { title: t('menuOpenLink') }).catch(() => {});
+});
+
+function decodeLinkUrl(url) {
+  try {
+    return decodeURIComponent(url);
+  } catch {
+    return url;
+  }
+}
+
+async function openCaseChooser(params) {
+  await chrome.windows.create({
+    url: chrome.runtime.getURL(`popup.html?${new URLSearchParams(params)}`),
+    type: 'popup',
+    width: 360,
+    height: 600,
+    focused: true,
+  });
+}
+
+/**
+ * Case number in free text, by any adapter including custom sites.
+ */
+async function parseCaseText(text) {
+  const { customSites } = await chrome.storage.sync.get({ customSites: [] });
+  return SuperNaviAdapters.parseCaseNumber(text, SuperNaviAdapters.createCustomAdapters(customSites));
+}
+
+async function openSlideInViewer(slideId, externalCaseId, config) {
+  const data = await apiCall('/api/ui-bridge/viewer-link', {
+    method: 'POST',
+    body: JSON.stringify({ slideId, externalCaseId }),
+    config,
+  });
+  await openViewerUrls([data.url]);
+}
+
+/**
+ * Open ready slides of a case from outside its page (context menu, omnibox,
+ * notifications) and record it in the activity log. `config` pins another
+ * profile than the active one.
+ */
+async function openSlidesInViewer(slideIds, externalCaseId, source, config) {
+  const activity = { caseBase: caseBaseOf(externalCaseId), externalCaseId, source };
+  try {
+    let failedSlideIds = [];
+    if (slideIds.length === 1) await openSlideInViewer(slideIds[0], externalCaseId, config);
+    else ({ failedSlideIds } = await openViewerLinks({ slideIds, externalCaseId, config }));
+    recordActivity('slide-opened', {
+      ...activity,
+      slideIds: slideIds.filter(id => !failedSlideIds.includes(id)),
+      outcome: failedSlideIds.length ? 'partial' : 'ok',
+    }, config);
+  } catch (err) {
+    recordActivity('slide-opened', { ...activity, slideIds, ...errorOutcome(err) }, config);
+    throw err;
+  }
+}
+
+async function openCaseFromText(text, tab) {
+  const parsed = await parseCaseText(text);
+  if (!parsed) {
+    log('No case number in:', text);
+    await openCaseChooser({ q: text.trim().slice(0, 100) });
+    return;
+  }
+
+  const { adapter, caseBase } = parsed;
+  const externalCaseId = SuperNaviAdapters.toExternalCaseId(adapter, caseBase);
+  log('Context menu case:', externalCaseId);
+
+  let status = null;
+  try {
+    status = await getCaseStatus(caseBase);
+  } catch (err) {
+    log('Context menu status error:', err.message); // The chooser shows it
+  }
+
+  const ready = status?.readySlides || [];
+  if (ready.length === 1) {
+    try {
+      await openSlidesInViewer([ready[0].slideId], externalCaseId, 'context-menu');
+      return;
+    } catch (err) {
+      log('Context menu viewer link error:', err.message);
+    }
+  }
+
+  const pageCase = tab?.id >= 0
+    ? await chrome.tabs.sendMessage(tab.id, { type: 'GET_PAGE_CASE' }).catch(() => null)
+    : null;
+  if (pageCase?.namespace === adapter.externalIdNamespace) {
+    chrome.tabs.sendMessage(tab.id, { type: 'OPEN_CASE', caseBase });
+    return;
+  }
+  await openCaseChooser({ case: caseBase, ns: adapter.externalIdNamespace });
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId !== MENU_OPEN_SELECTION && info.menuItemId !== MENU_OPEN_LINK) return;
+  const text = info.menuItemId === MENU_OPEN_LINK ? decodeLinkUrl(info.linkUrl) : info.selectionText;
+  openCaseFromText(text || '', tab).catch(err => log('Context menu error:', err.message));
+});
+
+/**
+ * Omnibox: "sn <case>" in the address bar. The typed case shows its status
+ * (through getCaseStatus() and its cache) as the default suggestion; pinned
+ * and recent cases and the cloud's search results follow. Accepting opens
+ * the case's ready slides; anything else goes to the popup chooser.
+ */
+const OMNIBOX_MAX_SUGGESTIONS = 6;
+const OMNIBOX_SEARCH_DELAY_MS = 250;
+const OMNIBOX_MIN_SEARCH_LENGTH = 3;
+let omniboxTimer = null;
+let omniboxSeq = 0;
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, c => ({
+    '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;',
+  })[c]);
+}
+
+function statusCounts(status) {
+  return { ready: status.readySlides?.length || 0, processing: status.processingSlides?.length || 0 };
+}
+
+function describeCounts({ ready, processing }) {
+  return `${plural('slidesReady', ready)}, ${plural('slidesProcessing', processing)}`;
+}
+
+function setOmniboxDefault(caseBase, status) {
+  const description = caseBase
+    ? `${escapeXml(t('omniboxOpen'))} <match>${escapeXml(caseBase)}</match>`
+      + (status ? ` <dim>— ${escapeXml(describeCounts(statusCounts(status)))}</dim>` : '')
+    : escapeXml(t('omniboxHint'));
+  chrome.omnibox.setDefaultSuggestion({ description });
+}
+
+async function buildOmniboxSuggestions(query) {
+  await SuperNaviI18n.ready();
+  const suggestions = new Map(); // caseBase → SuggestResult
+  const add = (caseBase, description) => {
+    if (!suggestions.has(caseBase) && suggestions.size < OMNIBOX_MAX_SUGGESTIONS) {
+      suggestions.set(caseBase, { content: caseBase, description });
+    }
+  };
+  const describe = (caseBase, counts, sourceKey) => {
+    const details = counts ? [describeCounts(counts), t(sourceKey)] : [t(sourceKey)];
+    return `<match>${escapeXml(caseBase)}</match> <dim>— ${escapeXml(details.join(' · '))}</dim>`;
+  };
+
+  const parsed = query && await parseCaseText(query);
+  const status = parsed && await getCaseStatus(parsed.caseBase).catch(() => null);
+  setOmniboxDefault(parsed?.caseBase, status);
+
+  // The typed case is the default suggestion already
+  const exact = parsed?.caseBase;
+  const needle = query.toUpperCase().replace(/\s+/g, '');
+  const { pinned, recent } = await SuperNaviCaseHistory.getHistory();
+  for (const entry of [...pinned, ...recent]) {
+    if (entry.caseBase === exact || !entry.caseBase.includes(needle)) continue;
+    add(entry.caseBase, describe(entry.caseBase, entry.counts, entry.pinned ? 'historyPinned' : 'historyRecent'));
+  }
+
+  if (query.length >= OMNIBOX_MIN_SEARCH_LENGTH) {
+    try {
+      const data = await apiCall(`/api/ui-bridge/cases/search?q=${encodeURIComponent(query)}`);
+      for (const found of data.cases || []) {
+        if (found.caseBase && found.caseBase !== exact) add(found.caseBase, describe(found.caseBase, statusCounts(found), 'omniboxCloud'));
+      }
+    } catch (err) {
+      log('Omnibox search error:', err.message);
+    }
+  }
+
+  return [...suggestions.values()];
+}
+
+async function openCaseFromOmnibox(text) {
+  const parsed = await parseCaseText(text);
+  if (!parsed) {
+    await openCaseChooser({ q: text.slice(0, 100) });
+    return;
+  }
+
+  const { adapter, caseBase } = parsed;
+  const namespace = adapter.externalIdNamespace;
+  const externalCaseId = SuperNaviAdapters.toExternalCaseId(adapter, caseBase);
+  let status = null;
+  try {
+    status = await getCaseStatus(caseBase);
+  } catch (err) {
+    log('Omnibox status error:', err.message); // The chooser shows it
+  }
+
+  const slideIds = (status?.readySlides || []).map(s => s.slideId);
+  if (!slideIds.length) {
+    await openCaseChooser({ case: caseBase, ns: namespace });
+    return;
+  }
+
+  await SuperNaviCaseHistory.recordVisit(namespace, caseBase, status);
+  try {
+    await openSlidesInViewer(slideIds, externalCaseId, 'omnibox');
+  } catch (err) {
+    log('Omnibox viewer link error:', err.message);
+    await openCaseChooser({ case: caseBase, ns: namespace });
+  }
+}
+
+chrome.omnibox.onInputStarted.addListener(() => {
+  SuperNaviI18n.ready().then(() => setOmniboxDefault(null));
+});
+
+chrome.omnibox.onInputChanged.addListener((text, suggest) => {
+  // Every keystroke fires; only the last input gets its suggestions
+  const seq = ++omniboxSeq;
+  clearTimeout(omniboxTimer);
+  omniboxTimer = setTimeout(() => {
+    buildOmniboxSuggestions(text.trim())
+      .then(suggestions => {
+        if (seq === omniboxSeq) suggest(suggestions);
+      })
+      .catch(err => log('Omnibox error:', err.message));
+  }, OMNIBOX_SEARCH_DELAY_MS);
+});
+
+chrome.omnibox.onInputEntered.addListener((text) => {
+  openCaseFromOmnibox(text.trim()).catch(err => log('Omnibox error:', err.message));
+});
+
+/**
+ * Watched cases: the drawer's "notify when ready" adds a case with processing
+ * slides to watch-list.js. An alarm checks them every minute, with or without
+ * a case system tab open, and a desktop notification tells about newly ready
+ * slides. Clicking it opens them in the Viewer; its button opens the case.
+ * A case stops being watched once nothing is left processing, when its
+ * profile is gone or unpaired, or after a week.
+ */
+const WATCH_ALARM = 'watch-cases';
+const WATCH_PERIOD_MINUTES = 1;
+const WATCH_NOTIFICATION_PREFIX = 'watch:';
+
+async function syncWatchAlarm() {
+  const [watched, alarm] = await Promise.all([WatchList.getWatched(), chrome.alarms.get(WATCH_ALARM)]);
+  if (watched.length && !alarm) {
+    await chrome.alarms.create(WATCH_ALARM, { periodInMinutes: WATCH_PERIOD_MINUTES });
+  } else if (!watched.length && alarm) {
+    await chrome.alarms.clear(WATCH_ALARM);
+  }
+}
+
+async function checkWatchedCase(entry) {
+  const config = await getConfig(entry.profileId);
+  if (!config || !Profiles.isConfigured(config) || WatchList.isExpired(entry)) {
+    log('No longer watching', entry.caseBase);
+    await WatchList.unwatch(entry);
+    return;
+  }
+
+  let status;
+  try {
+    status = await fetchCaseStatus(entry.caseBase, config);
+  } catch (err) {
+    log('Watched case status error:', entry.caseBase, err.message); // Next alarm retries
+    return;
+  }
+
+  const ready = status.readySlides || [];
+  const newlyReady = ready.filter(s => !entry.readySlideIds.includes(s.slideId));
+  const processing = status.processingSlides?.length || 0;
+  if (newlyReady.length) await notifySlidesReady(entry, newlyReady, processing, config);
+
+  if (ready.length && !processing) await WatchList.unwatch(entry);
+  else await WatchList.recordCheck(entry, status);
+}
+
+async function checkWatchedCases() {
+  for (const entry of await WatchList.getWatched()) {
+    await checkWatchedCase(entry);
+  }
+}
+
+async function notifySlidesReady(entry, slides, processing, config) {
+  // One notification per case: a later check replaces it
+  const id = `${WATCH_NOTIFICATION_PREFIX}${entry.profileId}:${entry.externalCaseId}`;
+  await chrome.storage.session.set({
+    [id]: {
+      profileId: entry.profileId,
+      namespace: entry.namespace,
+      caseBase: entry.caseBase,
+      externalCaseId: entry.externalCaseId,
+      slideIds: slides.map(s => s.slideId),
+    },
+  });
+  await SuperNaviI18n.ready();
+  await chrome.notifications.create(id, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+    title: t('watchReadyTitle', entry.caseBase),
+    message: processing
+      ? `${plural('slidesReady', slides.length)} · ${plural('slidesProcessing', processing)}`
+      : plural('slidesReady', slides.length),
+    contextMessage: config.profileLabel,
+    buttons: [{ title: t('watchOpenCase') }],
+    priority: 1,
+  });
+}
+
+/**
+ * Notification click: the new slides in the Viewer, or the case in the popup
+ * chooser (`openCase`, or when the Viewer link fails).
+ */
+async function openFromNotification(id, { openCase = false } = {}) {
+  const { [id]: context } = await chrome.storage.session.get(id);
+  chrome.notifications.clear(id);
+  chrome.storage.session.remove(id);
+  if (!context) return;
+
+  if (!openCase) {
+    const config = await getConfig(context.profileId);
+    try {
+      await openSlidesInViewer(context.slideIds, context.externalCaseId, 'notification', config);
+      return;
+    } catch (err) {
+      log('Notification viewer link error:', err.message);
+    }
+  }
+  await openCaseChooser({ case: context.caseBase, ns: context.namespace });
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name !== WATCH_ALARM) return;
+  checkWatchedCases().catch(err => log('Watch check error:', err.message));
+});
+
+chrome.notifications.onClicked.addListener((id) => {
+  if (!id.startsWith(WATCH_NOTIFICATION_PREFIX)) return;
+  openFromNotification(id).catch(err => log('Notification error:', err.message));
+});
+
+chrome.notifications.onButtonClicked.addListener((id) => {
+  if (!id.startsWith(WATCH_NOTIFICATION_PREFIX)) return;
+  openFromNotification(id, { openCase: true }).catch(err => log('Notification error:', err.message));
+});
+
+chrome.notifications.onClosed.addListener((id) => {
+  if (id.startsWith(WATCH_NOTIFICATION_PREFIX)) chrome.storage.session.remove(id);
+});
+
+// The list is edited from the drawer and the options page; the alarm follows
+WatchList.onChange(() => syncWatchAlarm().catch(err => log('Watch alarm error:', err.message)));
+chrome.runtime.onStartup.addListener(syncWatchAlarm);
+chrome.runtime.onInstalled.addListener(syncWatchAlarm);
+
+/**
+ * Push updates: GET /api/ui-bridge/events, a Server-Sent Events stream for
+ * the active profile's account.
+ *   case-status     { caseBase, status? }  a case's slides changed state
+ *   slides-matched  { caseBase }           new slides were matched to a case
+ *   device-revoked  { deviceId }           a device of the account was revoked
+ * Case events refresh the tabs showing that case through CASE_STATUS and
+ * check it right away if it is watched; polling stays as the fallback.
+ *
+ * The stream is open only while a tab shows a case or cases are watched.
+ * MV3 stops an idle worker after 30s, so while it is open a cheap extension
+ * call keeps the worker alive, and an alarm reopens it if the worker was
+ * stopped anyway. Dropped streams reconnect with exponential backoff and
+ * Last-Event-ID; a server without the endpoint (404) is asked again after
+ * an hour. That hour is kept in chrome.storage.session, since the watchdog
+ * restarts the worker far more often.
+ */
+const PUSH_PATH = '/api/ui-bridge/events';
+const PUSH_KEEPALIVE_MS = 20_000;
+const PUSH_BACKOFF_BASE_MS = 1_000;
+const PUSH_BACKOFF_MAX_MS = 60_000;
+const PUSH_UNSUPPORTED_RETRY_MS = 60 * 60 * 1000;
+const PUSH_WATCHDOG_ALARM = 'push-watchdog';
+const PUSH_WATCHDOG_MINUTES = 1;
+const PUSH_UNSUPPORTED_KEY = 'pushUnsupported'; // { profileId, until }
+
+let pushStream = null; // { controller, keepalive, profileId } while open or opening
+let pushRetryTimer = null;
+let pushAttempt = 0;
+let pushLastEventId = null;
+
+async function getPushUnsupportedUntil(profileId) {
+  const { [PUSH_UNSUPPORTED_KEY]: entry } = await chrome.storage.session.get(PUSH_UNSUPPORTED_KEY);
+  return entry?.profileId === profileId ? entry.until : 0;
+}
+
+async function isPushWanted() {
+  const [tabCases, watched] = await Promise.all([getTabCases(), WatchList.getWatched()]);
+  return Object.keys(tabCases).length > 0 || watched.length > 0;
+}
+
+function stopPushStream() {
+  clearTimeout(pushRetryTimer);
+  pushRetryTimer = null;
+  if (!pushStream) return;
+  pushStream.controller.abort();
+  clearInterval(pushStream.keepalive);
+  pushStream = null;
+}
+
+/**
+ * Open the stream when it is wanted and not open (or open for another
+ * profile); close it when it is no longer wanted.
+ */
+async function updatePushStream() {
+  const config = await getConfig();
+  if (!Profiles.isConfigured(config) || !(await isPushWanted())) {
+    stopPushStream();
+    chrome.alarms.clear(PUSH_WATCHDOG_ALARM);
+    return;
+  }
+  // Server without the endpoint: the watchdog alarm is already set for the retry
+  if (Date.now() < await getPushUnsupportedUntil(config.profileId)) {
+    stopPushStream();
+    return;
+  }
+  if (pushStream?.profileId === config.profileId || pushRetryTimer) return;
+  stopPushStream();
+  connectPushStream(config);
+  chrome.alarms.create(PUSH_WATCHDOG_ALARM, { periodInMinutes: PUSH_WATCHDOG_MINUTES });
+}
+
+function connectPushStream(config) {
+  const stream = {
+    controller: new AbortController(),
+    keepalive: setInterval(() => chrome.runtime.getPlatformInfo(), PUSH_KEEPALIVE_MS),
+    profileId: config.profileId,
+  };
+  pushStream = stream;
+  log('Opening push stream');
+
+  openEventStream(`${config.apiBaseUrl}${PUSH_PATH}`, {
+    headers: authHeaders(config),
+    lastEventId: pushLastEventId,
+    signal: stream.controller.signal,
+    onOpen: () => {
+      log('Push stream open');
+      pushAttempt = 0;
+    },
+    onEvent: event => handlePushEvent(event, config).catch(err => log('Push event error:', err.message)),
+  })
+    .then(() => {
+      if (pushStream === stream) reconnectPushStream();
+    })
+    .catch(err => {
+      if (pushStream !== stream) return;
+      log('Push stream error:', err.message);
+      if (err.code === API_ERROR.UNAUTHORIZED) {
+        stopPushStream();
+        handleRevokedDevice(config.profileId);
+      } else if (err.code === API_ERROR.NOT_FOUND) {
+        stopPushStream();
+        const until = Date.now() + PUSH_UNSUPPORTED_RETRY_MS;
+        chrome.storage.session.set({ [PUSH_UNSUPPORTED_KEY]: { profileId: config.profileId, until } });
+        // Replaces the every-minute watchdog with a single wake-up for the retry
+        chrome.alarms.create(PUSH_WATCHDOG_ALARM, { when: until });
+      } else {
+        reconnectPushStream();
+      }
+    });
+}
+
+function reconnectPushStream() {
+  stopPushStream();
+  const base = Math.min(PUSH_BACKOFF_MAX_MS, PUSH_BACKOFF_BASE_MS * 2 ** pushAttempt++);
+  const delay = base + Math.random() * base * 0.3;
+  log('Push stream reconnecting in', Math.round(delay), 'ms');
+  pushRetryTimer = setTimeout(() => {
+    pushRetryTimer = null;
+    updatePushStream();
+  }, delay);
+}
+
+async function handlePushEvent({ type, data, id }, config) {
+  if (id) pushLastEventId = id;
+  let payload;
+  try {
+    payload = JSON.parse(data);
+  } catch {
+    log('Malformed push event:', type);
+    return;
+  }
+  log('Push event:', type, payload);
+
+  if (type === 'device-revoked') {
+    // Other devices of the account are the options page's business
+    if (payload.deviceId && payload.deviceId !== config.deviceId) return;
+    stopPushStream();
+    await handleRevokedDevice(config.profileId);
+    return;
+  }
+
+  if ((type === 'case-status' || type === 'slides-matched') && payload.caseBase) {
+    await pushCaseUpdate(config, String(payload.caseBase).toUpperCase(), payload.status);
+  }
+}
+
+/**
+ * Fan a case change out to the tabs showing the case and to its watch.
+ */
+async function pushCaseUpdate(config, caseBase, status) {
+  // With the status in the event no request is needed; without it, the
+  // cached one is stale
+  if (status) await writeStatusCache(config.profileId, caseBase, status);
+  else await invalidateStatusCache(config.profileId, caseBase);
+
+  const tabCases = await getTabCases();
+  for (const [tabId, tabCase] of Object.entries(tabCases)) {
+    if (tabCase !== caseBase) continue;
+    caseStatusForTab(Number(tabId), caseBase)
+      .then(message => chrome.tabs.sendMessage(Number(tabId), message))
+      .catch(() => {});
+  }
+
+  const watched = (await WatchList.getWatched())
+    .find(e => e.profileId === config.profileId && e.caseBase === caseBase);
+  if (watched) await checkWatchedCase(watched);
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === PUSH_WATCHDOG_ALARM) updatePushStream();
+});
+
+// Another profile or new credentials: start over on the new account
+Profiles.onChange(() => {
+  stopPushStream();
+  pushAttempt = 0;
+  pushLastEventId = null;
+  chrome.storage.session.remove(PUSH_UNSUPPORTED_KEY).then(updatePushStream);
 });
+WatchList.onChange(() => updatePushStream());
+chrome.runtime.onStartup.addListener(updatePushStream);
+updatePushStream();
@@ -0,0 +1,177 @@
+/**
+ * SuperNavi Bridge Extension - Case History
+ *
+ * Recently viewed and pinned cases, kept in chrome.storage.local on this
+ * computer only. Entries hold the case number, its namespace and the last
+ * known slide counts, never patient data.
+ *
+ * Shared by content scripts and extension pages. Loaded as a classic script
+ * and guarded like adapters.js.
+ */
+
+(() => {
+  if (globalThis.SuperNaviCaseHistory) return;
+
+  const STORAGE_KEY = 'caseHistory';
+  const LIMIT_KEY = 'caseHistoryLimit';
+  const DEFAULT_LIMIT = 20;
+
+  /**
+   * Entry shape:
+   *   caseBase   Normalized case number ('AP26000230')
+   *   namespace  Adapter externalIdNamespace ('pathoweb'); lists are per system
+   *   pinned     Pinned entries are kept regardless of the retention limit
+   *   viewedAt   Last time the case was open in the drawer (ms)
+   *   counts     { ready, processing, at } from the last status seen, or null
+   */
+
+  async function readEntries() {
+    const { [STORAGE_KEY]: entries } = await chrome.storage.local.get({ [STORAGE_KEY]: [] });
+    return entries;
+  }
+
+  /**
+   * Number of unpinned cases kept; 0 disables the history (pins still work).
+   */
+  async function getLimit() {
+    const { [LIMIT_KEY]: limit } = await chrome.storage.local.get({ [LIMIT_KEY]: DEFAULT_LIMIT });
+    return limit;
+  }
+
+  async function writeEntries(entries) {
+    const limit = await getLimit();
+    const pinned = entries.filter(e => e.pinned);
+    const recent = entries
+      .filter(e => !e.pinned)
+      .sort((a, b) => b.viewedAt - a.viewedAt)
+      .slice(0, limit);
+    await chrome.storage.local.set({ [STORAGE_KEY]: [...pinned, ...recent] });
+  }
+
+  // Visits, count refreshes and pins from this page can overlap; each
+  // read-modify-write waits for the previous one so none is lost
+  let writeQueue = Promise.resolve();
+
+  function serialized(update) {
+    const run = writeQueue.then(update);
+    writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  const matches = (namespace, caseBase) => e => e.namespace === namespace && e.caseBase === caseBase;
+
+  function countsFromStatus(status) {
+    return {
+      ready: status?.readySlides?.length || 0,
+      processing: status?.processingSlides?.length || 0,
+      at: Date.now(),
+    };
+  }
+
+  /**
+   * Pinned and recent cases of one system, or of all of them when no
+   * namespace is given. Pinned are sorted by case number, recent by last view,
+   * newest first. Pinned cases are not repeated in recent.
+   */
+  async function getHistory(namespace) {
+    const entries = (await readEntries()).filter(e => namespace === undefined || e.namespace === namespace);
+    return {
+      pinned: entries
+        .filter(e => e.pinned)
+        .sort((a, b) => a.caseBase.localeCompare(b.caseBase, undefined, { numeric: true })),
+      recent: entries.filter(e => !e.pinned).sort((a, b) => b.viewedAt - a.viewedAt),
+    };
+  }
+
+  /**
+   * Move a case to the top of the history, with the slide counts of `status`.
+   */
+  function recordVisit(namespace, caseBase, status) {
+    return serialized(async () => {
+      const entries = await readEntries();
+      const existing = entries.find(matches(namespace, caseBase));
+      if (!existing && !(await getLimit())) return;
+
+      const entry = existing || { caseBase, namespace, pinned: false };
+      entry.viewedAt = Date.now();
+      entry.counts = countsFromStatus(status);
+      await writeEntries(existing ? entries : [...entries, entry]);
+    });
+  }
+
+  /**
+   * Refresh cached counts from a batch of statuses ({ caseBase: status }).
+   * Only cases already in the history are touched.
+   */
+  function updateCounts(namespace, statuses) {
+    return serialized(async () => {
+      const entries = await readEntries();
+      let changed = false;
+      for (const entry of entries) {
+        const status = entry.namespace === namespace && statuses[entry.caseBase];
+        if (!status) continue;
+        entry.counts = countsFromStatus(status);
+        changed = true;
+      }
+      if (changed) await writeEntries(entries);
+    });
+  }
+
+  function setPinned(namespace, caseBase, pinned) {
+    return serialized(async () => {
+      const entries = await readEntries();
+      const existing = entries.find(matches(namespace, caseBase));
+      if (existing) {
+        existing.pinned = pinned;
+        await writeEntries(entries);
+      } else if (pinned) {
+        await writeEntries([...entries, { caseBase, namespace, pinned, viewedAt: Date.now(), counts: null }]);
+      }
+    });
+  }
+
+  async function isPinned(namespace, caseBase) {
+    return !!(await readEntries()).find(matches(namespace, caseBase))?.pinned;
+  }
+
+  function setLimit(limit) {
+    return serialized(async () => {
+      await chrome.storage.local.set({ [LIMIT_KEY]: limit });
+      await writeEntries(await readEntries());
+    });
+  }
+
+  /**
+   * Forget every case, pinned ones included.
+   */
+  async function clearHistory() {
+    await chrome.storage.local.remove(STORAGE_KEY);
+  }
+
+  async function countEntries() {
+    return (await readEntries()).length;
+  }
+
+  /**
+   * Run `listener` whenever the history changes, in any tab.
+   */
+  function onChange(listener) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes[STORAGE_KEY]) listener();
+    });
+  }
+
+  globalThis.SuperNaviCaseHistory = {
+    DEFAULT_LIMIT,
+    getHistory,
+    recordVisit,
+    updateCounts,
+    setPinned,
+    isPinned,
+    getLimit,
+    setLimit,
+    clearHistory,
+    countEntries,
+    onChange,
+  };
+})();
@@ -1,24 +1,63 @@
 /**
- * SuperNavi PathoWeb Extension - Content Script
+ * SuperNavi Bridge Extension - Content Script
  *
- * Detects AP/PA/IM/C case numbers from PathoWeb pages, injects a side handle
- * that opens a drawer with slides matched automatically by filename.
- * PA (Patologia Anatômica) is normalized to AP (Anatomopatológico).
+ * Detects case numbers on the case system's pages through the adapter for the
+ * current host (see adapters.js), injects a side handle that opens a drawer
+ * with slides matched automatically by filename.
  */
 
-const AP_PATTERN = /\b((?:AP|PA|IM|C)\d{6,12})\b/i;
 const POLL_INTERVAL_MS = 30_000;
 
+// Status polling while slides are processing: starts fast, backs off to a ceiling
+const STATUS_POLL_MIN_MS = 5_000;
+const STATUS_POLL_MAX_MS = 60_000;
+const STATUS_POLL_BACKOFF = 1.5;
+
+const LIST_SCAN_DEBOUNCE_MS = 500;
+
+// Auto-dismiss delay per notice level; 0 keeps the notice until dismissed
+const NOTICE_TIMEOUT_MS = { info: 5_000, success: 4_000, warning: 0, error: 0 };
+
+const Adapters = globalThis.SuperNaviAdapters;
+const I18n = globalThis.SuperNaviI18n;
+const { t, plural } = I18n;
+const CaseHistory = globalThis.SuperNaviCaseHistory;
+const WatchList = globalThis.SuperNaviWatchList;
+const Protocol = globalThis.SuperNaviProtocol;
+
+let activeAdapter = null;
 let currentCaseBase = null;
 let currentStatus = null;
 let currentPatientData = null; // { patientName, patientId, age, doctor }
 let authInfo = null;
+let extensionStale = false; // Extension updated under this page (see Protocol.onStale)
 let handleEl = null;
 let drawerEl = null;
 let drawerOpen = false;
 let toastEl = null;
+let notices = []; // { id, key, level, message, action: { label, run } }
+let noticeSeq = 0;
+let liveRegions = null;
+let focusBeforeDrawer = null; // Restored when the drawer closes
+let selectedSlideIds = new Set(); // Multi-select for bulk open
+let expandedSlideIds = new Set(); // Slides with the detail panel open
+let drawerPrefs = { groupBy: 'none', sortBy: 'label' }; // Persisted, see loadDrawerPrefs()
+let slideFilter = ''; // Quick filter over labels and filenames, per case
+let caseHistory = { pinned: [], recent: [] }; // This system's entries, see loadCaseHistory()
+let watchedCases = []; // Every profile's, see loadWatchedCases()
+let priorCases = null; // { patientKey, loading, cases } for the current patient
+let priorCasesExpanded = false;
 let debounceTimer = null;
 let configCache = null;
+let logoUrl = ''; // See loadLogo()
+let pairingNotice = null; // Shown on the pairing view after the session was dropped
+let statusPollTimer = null;
+let statusPollDelay = STATUS_POLL_MIN_MS;
+let lastDetectedCaseBase = null;
+let listScanTimer = null;
+const listStatuses = new Map(); // caseBase → status (list-page badges)
+const listPending = new Set();
+const listFailed = new Set(); // Batch request failed; asked again on retry
 
 // ============================================================================
 // SVG Icons
@@ -30,6 +69,9 @@ const ICON = {
   close: `<svg viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.8" stroke-linecap="round">
     <line x1="4" y1="4" x2="12" y2="12"/><line x1="12" y1="4" x2="4" y2="12"/>
   </svg>`,
+  details: `<svg viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.8" stroke-linecap="round" stroke-linejoin="round">
+    <path d="M4 6l4 4 4-4"/>
+  </svg>`,
   chevron: `<svg class="snavi-drawer-chevron" viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
     <path d="M6 3l5 5-5 5"/>
   </svg>`,
@@ -43,6 +85,12 @@ const ICON = {
   user: `<svg viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.3" stroke-linecap="round" stroke-linejoin="round">
     <circle cx="8" cy="5.5" r="2.5"/><path d="M3 14c0-2.8 2.2-5 5-5s5 2.2 5 5"/>
   </svg>`,
+  pin: `<svg viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.3" stroke-linecap="round" stroke-linejoin="round">
+    <path d="M6 2h4l-.5 4 2.5 2.5H4L6.5 6z"/><line x1="8" y1="8.5" x2="8" y2="14"/>
+  </svg>`,
+  bell: `<svg viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.3" stroke-linecap="round" stroke-linejoin="round">
+    <path d="M4 11V7a4 4 0 018 0v4l1 1.5H3z"/><path d="M6.5 14a1.5 1.5 0 003 0"/>
+  </svg>`,
   search: `<svg viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round">
     <circle cx="7" cy="7" r="4.5"/><line x1="10.2" y1="10.2" x2="13.5" y2="13.5"/>
   </svg>`,
@@ -62,10 +110,7 @@ const ICON = {
 async function getConfig() {
   if (configCache) return configCache;
   return new Promise(resolve => {
-    chrome.storage.sync.get({
-      apiBaseUrl: 'https://cloud.supernavi.app',
-      debug: false,
-    }, result => {
+    chrome.storage.sync.get({ debug: false }, result => {
       configCache = result;
       resolve(result);
     });
@@ -76,47 +121,17 @@ async function getConfig() {
 // Case Detection
 // ============================================================================
 
-function detectCaseBase() {
-  // First try prominent elements (headers, case-specific selectors)
-  const selectors = [
-    '#botaoMenu',
-    '.case-number', '.case-id', '#case-header', '#caseNumber',
-    '[data-case-id]', '.patient-header', '.exam-header',
-    '.btn-cabecalho',
-    'h1', 'h2', 'h3',
-    '.breadcrumb', '.page-title', '.header-title',
-  ];
-
-  for (const sel of selectors) {
-    const els = document.querySelectorAll(sel);
-    for (const el of els) {
-      const match = el.textContent.match(AP_PATTERN);
-      if (match) return normalizePrefix(match[1]);
-    }
-  }
-
-  const titleMatch = document.title.match(AP_PATTERN);
-  if (titleMatch) return normalizePrefix(titleMatch[1]);
-
-  // Fallback: scan body text, but only if there's a SINGLE unique AP number.
-  // Multiple AP numbers means it's a list page, not a single case view.
-  const bodyText = document.body?.innerText?.substring(0, 10000) || '';
-  const allMatches = bodyText.match(new RegExp(AP_PATTERN.source, 'gi'));
-  if (allMatches) {
-    const unique = new Set(allMatches.map(m => normalizePrefix(m)));
-    if (unique.size === 1) {
-      return [...unique][0];
-    }
-  }
-
-  return null;
-}
-
 /**
- * Normalize case prefix: PA → AP (same department, different convention).
+ * Pick the adapter for the current page: built-in adapters first, then the
+ * custom sites configured in the options page.
  */
-function normalizePrefix(caseId) {
-  return caseId.toUpperCase().replace(/^PA/, 'AP');
+async function resolveAdapter() {
+  const { customSites } = await chrome.storage.sync.get({ customSites: [] });
+  return Adapters.findAdapterForUrl(location.href, Adapters.createCustomAdapters(customSites));
+}
+
+function detectCaseBase() {
+  return Adapters.detectCaseBase(activeAdapter, document);
 }
 
 // ============================================================================
@@ -124,50 +139,36 @@ function normalizePrefix(caseId) {
 // ============================================================================
 
 function scrapePatientData() {
-  const text = document.body?.innerText || '';
-
-  const data = {};
-
-  const patientMatch = text.match(/Paciente:\s*(.+?)(?=\s+Id:|\s+Idade:|\n|\r|$)/i);
-  if (patientMatch) data.patientName = patientMatch[1].trim();
-
-  const idMatch = text.match(/\bId:\s*(\d+)/i);
-  if (idMatch) data.patientId = idMatch[1].trim();
-
-  const ageMatch = text.match(/Idade:\s*(\d+)/i);
-  if (ageMatch) data.age = ageMatch[1].trim();
-
-  const doctorMatch = text.match(/[Mm](?:[ée]|Ã©)dico\s+requisitante:\s*(.+?)(?=\s+[Mm](?:[ée]|Ã©)dico|\n|\r|$)/i);
-  if (doctorMatch) data.doctor = doctorMatch[1].trim();
-
-  return Object.keys(data).length > 0 ? data : null;
+  return Adapters.scrapePatientFields(activeAdapter, document);
 }
 
+// Either one tells whose case this is; a custom site may map only one of them
+const IDENTIFYING_PATIENT_FIELDS = ['patientName', 'patientId'];
+
 function scrapePatientDataWithRetry(maxAttempts = 10, intervalMs = 2000) {
   let attempts = 0;
   const tryNow = async () => {
     attempts++;
     const data = scrapePatientData();
-    if (data && data.patientName) {
+    if (data && IDENTIFYING_PATIENT_FIELDS.some(field => data[field])) {
       const changed = !currentPatientData
-        || currentPatientData.patientName !== data.patientName
-        || currentPatientData.doctor !== data.doctor
-        || currentPatientData.age !== data.age
-        || currentPatientData.patientId !== data.patientId;
+        || ['patientName', 'patientId', 'doctor', 'age'].some(field => currentPatientData[field] !== data[field]);
 
       currentPatientData = data;
 
       const cfg = await getConfig();
       if (cfg.debug) console.log('[SuperNavi] Patient data scraped:', data);
 
-      // Proactively enrich case in cloud whenever data is new or changed
+      // Proactively enrich case in cloud whenever data is new or changed; the
+      // background sends only what the PHI policy allows
       if (changed && currentCaseBase && authInfo?.authenticated) {
-        chrome.runtime.sendMessage({
-          type: 'ENRICH_CASE',
+        requestBackground('ENRICH_CASE', {
           caseBase: currentCaseBase,
+          externalCaseId: Adapters.toExternalCaseId(activeAdapter, currentCaseBase),
           patientData: data,
         });
       }
+      requestPatientCases();
       return;
     }
     if (attempts < maxAttempts) {
@@ -207,9 +208,9 @@ function removeHandle() {
 function updateHandleState(status) {
   if (!handleEl) return;
   if (status.readySlides?.length > 0) {
-    handleEl.title = `SuperNavi: ${status.readySlides.length} lâmina(s) pronta(s)`;
+    handleEl.title = `SuperNavi: ${plural('slidesReady', status.readySlides.length)}`;
   } else if (status.processingSlides?.length > 0) {
-    handleEl.title = 'SuperNavi: Preparando...';
+    handleEl.title = t('handlePreparing');
   }
 }
 
@@ -233,20 +234,38 @@ function createDrawer() {
   if (drawerEl) return;
   drawerEl = document.createElement('div');
   drawerEl.className = 'snavi-drawer';
+  drawerEl.setAttribute('role', 'dialog');
+  drawerEl.setAttribute('aria-label', 'SuperNavi');
+  drawerEl.addEventListener('keydown', onDrawerKeydown);
   document.body.appendChild(drawerEl);
 }
 
 function renderDrawerContent() {
   if (!drawerEl) return;
 
+  // Re-rendering replaces the DOM; keep keyboard focus on the same slide
+  const hadFocus = drawerEl.contains(document.activeElement);
+  const focusedSlideId = hadFocus
+    ? document.activeElement.closest('.snavi-drawer-item')?.dataset.slideId
+    : null;
+  const filterHadFocus = hadFocus && document.activeElement.matches('.snavi-drawer-filter');
+
   // Not authenticated: full-drawer pairing onboarding
   if (!authInfo?.authenticated) {
     renderPairingView();
-    return;
+  } else {
+    // Authenticated: show slides matched by filename
+    renderAuthenticatedView();
   }
 
-  // Authenticated: show slides matched by filename
-  renderAuthenticatedView();
+  if (filterHadFocus && drawerEl.querySelector('.snavi-drawer-filter')) {
+    const filter = drawerEl.querySelector('.snavi-drawer-filter');
+    filter.focus();
+    filter.setSelectionRange(filter.value.length, filter.value.length);
+  } else if (hadFocus) {
+    const item = focusedSlideId && getDrawerItems().find(el => el.dataset.slideId === focusedSlideId);
+    (item || getDrawerItems()[0] || drawerEl.querySelector('.snavi-drawer-close'))?.focus();
+  }
 }
 
 function renderPairingView() {
@@ -255,33 +274,33 @@ function renderPairingView() {
   drawerEl.innerHTML = `
     <div class="snavi-drawer-header">
       <div class="snavi-drawer-brand">
-        <img class="snavi-drawer-logo" src="${chrome.runtime.getURL('icons/icon48.png')}" alt="" />
+        ${logoUrl ? `<img class="snavi-drawer-logo" src="${logoUrl}" alt="" />` : ''}
         <span class="snavi-drawer-title">SuperNavi</span>
         ${statusCls ? `<span class="snavi-drawer-status ${statusCls}"></span>` : ''}
       </div>
-      <button class="snavi-drawer-close">${ICON.close}</button>
+      <button class="snavi-drawer-close" aria-label="${t('close')}">${ICON.close}</button>
     </div>
     <div class="snavi-pair-view">
       <div class="snavi-pair-hero">
         <div class="snavi-pair-icon-ring">
           <div class="snavi-pair-icon">${ICON.link}</div>
         </div>
-        <h2 class="snavi-pair-title">Conectar dispositivo</h2>
-        <p class="snavi-pair-desc">Vincule esta extensao a sua conta SuperNavi para visualizar lâminas diretamente do PathoWeb.</p>
+        <h2 class="snavi-pair-title">${t('pairTitle')}</h2>
+        <p class="snavi-pair-desc">${escapeHtml(t('pairDescription', activeAdapter.name))}</p>
       </div>
 
       <div class="snavi-pair-steps">
         <div class="snavi-pair-step">
           <span class="snavi-pair-step-num">1</span>
-          <span class="snavi-pair-step-text">Abra <a href="https://viewer.supernavi.app/pair" target="_blank" class="snavi-pair-link">viewer.supernavi.app/pair</a></span>
+          <span class="snavi-pair-step-text">${t('pairStepOpen', '<a href="https://viewer.supernavi.app/pair" target="_blank" class="snavi-pair-link">viewer.supernavi.app/pair</a>')}</span>
         </div>
         <div class="snavi-pair-step">
           <span class="snavi-pair-step-num">2</span>
-          <span class="snavi-pair-step-text">Gere um <strong>codigo de pareamento</strong></span>
+          <span class="snavi-pair-step-text">${t('pairStepGenerate', `<strong>${t('pairStepGenerateCode')}</strong>`)}</span>
         </div>
         <div class="snavi-pair-step">
           <span class="snavi-pair-step-num">3</span>
-          <span class="snavi-pair-step-text">Insira o codigo abaixo</span>
+          <span class="snavi-pair-step-text">${t('pairStepEnter')}</span>
         </div>
       </div>
 
@@ -289,7 +308,7 @@ function renderPairingView() {
         <div class="snavi-pair-input-wrap">
           <input class="snavi-pair-input" type="text"
                  maxlength="6" autocomplete="off" spellcheck="false"
-                 placeholder="------" />
+                 placeholder="------" aria-label="${t('pairCodeLabel')}" />
           <div class="snavi-pair-dots">
             <span class="snavi-pair-dot"></span>
             <span class="snavi-pair-dot"></span>
@@ -300,16 +319,18 @@ function renderPairingView() {
           </div>
         </div>
         <button class="snavi-pair-btn" disabled>
-          <span class="snavi-pair-btn-text">Conectar</span>
+          <span class="snavi-pair-btn-text">${t('pairConnect')}</span>
         </button>
-        <div class="snavi-pair-feedback"></div>
+        <div class="snavi-pair-feedback${pairingNotice ? ' snavi-pair-feedback--error' : ''}">${escapeHtml(pairingNotice || '')}</div>
       </div>
+      ${renderProfileSwitcher()}
       <div class="snavi-drawer-version">v${chrome.runtime.getManifest().version}</div>
     </div>
   `;
 
   // Wire close
   drawerEl.querySelector('.snavi-drawer-close').addEventListener('click', closeDrawer);
+  wireProfileSwitcher();
 
   // Wire pairing form
   const input = drawerEl.querySelector('.snavi-pair-input');
@@ -332,19 +353,19 @@ function renderPairingView() {
     if (code.length !== 6) return;
     btn.disabled = true;
     btn.classList.add('snavi-pair-btn--loading');
-    btn.querySelector('.snavi-pair-btn-text').textContent = 'Conectando...';
-    try {
-      chrome.runtime.sendMessage({ type: 'CLAIM_PAIRING_CODE', code });
-    } catch (err) {
+    btn.querySelector('.snavi-pair-btn-text').textContent = t('pairConnecting');
+    // The reply (PAIRING_RESULT) resets the button; without one, say why
+    requestBackground('CLAIM_PAIRING_CODE', { code }).then(reply => {
+      if (reply) return;
       btn.disabled = false;
       btn.classList.remove('snavi-pair-btn--loading');
-      btn.querySelector('.snavi-pair-btn-text').textContent = 'Conectar';
+      btn.querySelector('.snavi-pair-btn-text').textContent = t('pairConnect');
       const feedbackEl = drawerEl?.querySelector('.snavi-pair-feedback');
       if (feedbackEl) {
-        feedbackEl.textContent = 'Extensao recarregada. Tente novamente.';
+        feedbackEl.textContent = t(extensionStale ? 'extensionUpdated' : 'pairError');
         feedbackEl.classList.add('snavi-pair-feedback--error');
       }
-    }
+    });
   });
 
   input.addEventListener('keydown', (e) => {
@@ -355,70 +376,65 @@ function renderPairingView() {
 }
 
 function renderAuthenticatedView() {
-  const slides = [
-    ...(currentStatus?.readySlides || []),
-    ...(currentStatus?.processingSlides || []),
-  ];
+  const ready = currentStatus?.readySlides || [];
+  const slides = [...ready, ...(currentStatus?.processingSlides || [])];
   const hasSlides = slides.length > 0;
   const statusCls = getStatusClass();
 
+  // Forget selections of slides that are gone or no longer ready
+  selectedSlideIds = new Set([...selectedSlideIds].filter(id => ready.some(s => s.slideId === id)));
+  expandedSlideIds = new Set([...expandedSlideIds].filter(id => slides.some(s => s.slideId === id)));
+
   drawerEl.innerHTML = `
     <div class="snavi-drawer-header">
       <div class="snavi-drawer-brand">
-        <img class="snavi-drawer-logo" src="${chrome.runtime.getURL('icons/icon48.png')}" alt="" />
+        ${logoUrl ? `<img class="snavi-drawer-logo" src="${logoUrl}" alt="" />` : ''}
         <span class="snavi-drawer-title">SuperNavi</span>
         ${statusCls ? `<span class="snavi-drawer-status ${statusCls}"></span>` : ''}
       </div>
-      <button class="snavi-drawer-close">${ICON.close}</button>
+      <button class="snavi-drawer-close" aria-label="${t('close')}">${ICON.close}</button>
     </div>
     <div class="snavi-drawer-body">
       ${currentCaseBase ? `
         <div class="snavi-drawer-case">
           <div class="snavi-drawer-case-icon">${ICON.folder}</div>
           <div class="snavi-drawer-case-info">
-            <div class="snavi-drawer-case-label">Caso ativo</div>
+            <div class="snavi-drawer-case-label">${t('activeCase')}</div>
             <div class="snavi-drawer-case-value">${escapeHtml(currentCaseBase)}</div>
           </div>
+          ${renderPinButton('snavi-drawer-case-pin', currentCaseBase)}
+          ${renderWatchButton()}
         </div>
       ` : ''}
 
+      <div class="snavi-drawer-notices"></div>
+
       ${hasSlides ? `
-        <div class="snavi-drawer-section">Lâminas do caso (${slides.length})</div>
-        <ul class="snavi-drawer-list">
-          ${slides.map((s, i) => {
-            const dims = formatDimensions(s.width, s.height);
-            return `
-            <li class="snavi-drawer-item" data-slide-id="${s.slideId}" style="--i:${i}">
-              ${s.thumbUrl
-                ? `<img class="snavi-drawer-thumb" src="${getThumbUrl(s.thumbUrl)}" alt="" />`
-                : `<div class="snavi-drawer-thumb snavi-thumb-placeholder">${THUMB_PLACEHOLDER_SVG}</div>`}
-              <div class="snavi-drawer-item-info">
-                <span class="snavi-drawer-label">${escapeHtml(formatSlideLabel(s, i))}</span>
-                <span class="snavi-drawer-sublabel">${dims || 'Abrir no viewer'}</span>
-              </div>
-              ${ICON.chevron}
-            </li>`;
-          }).join('')}
-        </ul>
+        ${slides.length > 1 ? renderSlideToolbar() : ''}
+        <div class="snavi-drawer-slides"></div>
       ` : `
         <div class="snavi-drawer-empty">
           ${ICON.slide}
           <span class="snavi-drawer-empty-text">
             ${currentCaseBase
-              ? 'Nenhuma lâmina encontrada para este caso.'
-              : 'Nenhum caso detectado nesta página.'}
+              ? t('noSlidesForCase')
+              : t('noCaseDetected')}
           </span>
         </div>
       `}
+
+      ${currentCaseBase ? '<section class="snavi-drawer-prior"></section>' : ''}
     </div>
     <div class="snavi-drawer-search-section snavi-hidden">
       <div class="snavi-drawer-search-row">
-        <input class="snavi-drawer-input" type="text" placeholder="Ex: AP26000230 ou C26000588"
+        <input class="snavi-drawer-input" type="text" placeholder="${escapeHtml(getSearchPlaceholder())}"
                value="${currentCaseBase || ''}" />
-        <button class="snavi-drawer-go">Ir</button>
+        <button class="snavi-drawer-go">${t('searchGo')}</button>
       </div>
+      <div class="snavi-drawer-history"></div>
     </div>
     <div class="snavi-drawer-footer">
+      ${renderProfileSwitcher()}
       ${authInfo.user
         ? `<div class="snavi-drawer-user">
             ${authInfo.user.avatarUrl
@@ -428,26 +444,394 @@ function renderAuthenticatedView() {
               <span class="snavi-drawer-user-name">${escapeHtml(authInfo.user.name)}</span>
               <span class="snavi-drawer-user-detail">${escapeHtml(authInfo.device?.name || '')}</span>
             </div>
-            <button class="snavi-search-toggle" title="Buscar caso">${ICON.search}</button>
-            <button class="snavi-logout-btn" title="Desconectar">${ICON.logout}</button>
+            <button class="snavi-search-toggle" title="${t('searchCase')}">${ICON.search}</button>
+            <button class="snavi-logout-btn" title="${t('logout')}">${ICON.logout}</button>
           </div>`
         : `<div class="snavi-drawer-user">
             <div class="snavi-drawer-user-icon">${ICON.user}</div>
             <div class="snavi-drawer-user-info">
-              <span class="snavi-drawer-user-name">API Key</span>
-              <span class="snavi-drawer-user-detail">Modo legado</span>
+              <span class="snavi-drawer-user-name">${t('legacyUser')}</span>
+              <span class="snavi-drawer-user-detail">${t('legacyMode')}</span>
             </div>
-            <button class="snavi-search-toggle" title="Buscar caso">${ICON.search}</button>
-            <button class="snavi-logout-btn" title="Desconectar">${ICON.logout}</button>
+            <button class="snavi-search-toggle" title="${t('searchCase')}">${ICON.search}</button>
+            <button class="snavi-logout-btn" title="${t('logout')}">${ICON.logout}</button>
           </div>`}
       <div class="snavi-drawer-version">v${chrome.runtime.getManifest().version}</div>
     </div>
   `;
 
   drawerEl.querySelector('.snavi-drawer-close').addEventListener('click', closeDrawer);
+  renderNotices();
+  renderCaseHistory();
+  wireWatchButton();
+  renderPriorCases();
+  if (hasSlides) {
+    wireSlideToolbar();
+    renderSlideList();
+  }
+
+  // Logout button: the background revokes the device, forgets the token and
+  // tells every tab
+  const logoutBtn = drawerEl.querySelector('.snavi-logout-btn');
+  logoutBtn?.addEventListener('click', async () => {
+    logoutBtn.disabled = true;
+    const result = await requestBackground('LOGOUT');
+    if (result?.revoked === false) {
+      pairingNotice = t('logoutNotRevoked');
+      if (drawerOpen) renderDrawerContent();
+    }
+  });
+  wireProfileSwitcher();
+
+  const searchSection = drawerEl.querySelector('.snavi-drawer-search-section');
+  const searchToggle = drawerEl.querySelector('.snavi-search-toggle');
+  searchToggle?.addEventListener('click', () => {
+    searchSection.classList.toggle('snavi-hidden');
+    if (!searchSection.classList.contains('snavi-hidden')) {
+      searchSection.querySelector('.snavi-drawer-input')?.focus();
+    }
+  });
+
+  const goBtn = drawerEl.querySelector('.snavi-drawer-go');
+  const inputEl = drawerEl.querySelector('.snavi-drawer-input');
+  goBtn.addEventListener('click', () => {
+    const found = Adapters.extractCase(activeAdapter, inputEl.value.trim());
+    if (found) onCaseChange(found);
+  });
+  inputEl.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') goBtn.click();
+  });
+}
+
+function renderSlideItem(s, i, isProcessing) {
+  const dims = formatDimensions(s.width, s.height);
+  const progress = isProcessing ? formatProgress(s.progress) : null;
+  const expanded = expandedSlideIds.has(s.slideId);
+  return `
+    <li class="snavi-drawer-item${isProcessing ? ' snavi-drawer-item--processing' : ''}" data-slide-id="${escapeHtml(s.slideId)}" style="--i:${i}"
+        role="button" tabindex="${i === 0 ? 0 : -1}">
+      ${isProcessing ? '' : `
+        <input class="snavi-drawer-check" type="checkbox" tabindex="-1" data-slide-id="${escapeHtml(s.slideId)}"
+               aria-label="${escapeHtml(t('selectSlide', formatSlideLabel(s)))}" ${selectedSlideIds.has(s.slideId) ? 'checked' : ''} />
+      `}
+      ${s.thumbUrl
+        ? `<img class="snavi-drawer-thumb" src="${escapeHtml(getThumbUrl(s.thumbUrl))}" alt="" />`
+        : `<div class="snavi-drawer-thumb snavi-thumb-placeholder">${THUMB_PLACEHOLDER_SVG}</div>`}
+      <div class="snavi-drawer-item-info">
+        <span class="snavi-drawer-label">${escapeHtml(formatSlideLabel(s, i))}</span>
+        <span class="snavi-drawer-sublabel">${isProcessing ? formatProcessingLabel(s) : (dims || t('openInViewer'))}</span>
+        ${progress !== null ? `
+          <span class="snavi-drawer-progress"><span class="snavi-drawer-progress-bar" style="width:${progress}%"></span></span>
+        ` : ''}
+      </div>
+      <button class="snavi-drawer-expand" type="button" tabindex="-1"
+              aria-expanded="${expanded}" aria-controls="${getDetailId(s.slideId)}"
+              aria-label="${escapeHtml(t('slideDetails', formatSlideLabel(s)))}">${ICON.details}</button>
+      ${ICON.chevron}
+    </li>
+    ${expanded ? renderSlideDetail(s) : ''}`;
+}
+
+// ============================================================================
+// Slide Details
+// ============================================================================
+
+/**
+ * Known slide metadata, in display order: [field, i18n label, formatter].
+ * Fields are read from the slide itself or its `metadata` object.
+ */
+const SLIDE_DETAIL_FIELDS = [
+  ['stain', 'detailStain'],
+  ['block', 'detailBlock'],
+  ['level', 'detailLevel'],
+  ['scanner', 'detailScanner'],
+  ['objectivePower', 'detailObjective', v => `${formatNumber(v)}×`],
+  ['mpp', 'detailMpp', v => `${formatNumber(v, 3)} µm/px`],
+  ['fileSize', 'detailFileSize', v => formatFileSize(v)],
+  ['scannedAt', 'detailScanDate', v => formatDateTime(v)],
+  ['filename', 'detailFilename'],
+];
+
+// Slide fields that drive the row or the images rather than the metadata list
+const SLIDE_INTERNAL_FIELDS = new Set([
+  'slideId', 'label', 'index', 'width', 'height', 'progress', 'etaSeconds',
+  'thumbUrl', 'previewUrl', 'labelUrl', 'macroUrl', 'metadata',
+]);
+
+function getDetailId(slideId) {
+  return `snavi-detail-${String(slideId).replace(/[^\w-]/g, '_')}`;
+}
+
+/**
+ * [label, value] rows for every metadata field the API sent: known fields
+ * first, formatted; anything else afterwards, as-is.
+ */
+function getSlideDetails(slide) {
+  const rows = [];
+  const isSet = v => v !== undefined && v !== null && v !== '';
+
+  for (const [field, labelKey, format = String] of SLIDE_DETAIL_FIELDS) {
+    const value = slide[field] ?? slide.metadata?.[field];
+    if (isSet(value)) rows.push([t(labelKey), format(value)]);
+  }
+  const dims = formatDimensions(slide.width, slide.height);
+  if (dims) rows.push([t('detailDimensions'), dims]);
+
+  const known = new Set(SLIDE_DETAIL_FIELDS.map(([field]) => field));
+  for (const [field, value] of Object.entries({ ...slide.metadata, ...slide })) {
+    if (known.has(field) || SLIDE_INTERNAL_FIELDS.has(field)) continue;
+    if (!isSet(value) || typeof value === 'object') continue;
+    rows.push([humanizeField(field), String(value)]);
+  }
+  return rows;
+}
+
+function renderSlideDetail(s) {
+  const rows = getSlideDetails(s);
+  const preview = s.previewUrl || s.thumbUrl;
+  // Only rendered once expanded, so label and macro images load on demand
+  const figure = (url, captionKey) => url ? `
+    <figure class="snavi-drawer-detail-figure">
+      <img class="snavi-drawer-detail-image" src="${escapeHtml(getThumbUrl(url))}" loading="lazy" alt="" />
+      <figcaption>${t(captionKey)}</figcaption>
+    </figure>` : '';
+
+  return `
+    <li class="snavi-drawer-detail" id="${getDetailId(s.slideId)}" role="region"
+        aria-label="${escapeHtml(t('slideDetails', formatSlideLabel(s)))}">
+      ${preview || s.labelUrl || s.macroUrl ? `
+        <div class="snavi-drawer-detail-images">
+          ${figure(preview, 'detailPreview')}
+          ${figure(s.labelUrl, 'detailLabelImage')}
+          ${figure(s.macroUrl, 'detailMacroImage')}
+        </div>
+      ` : ''}
+      ${rows.length ? `
+        <dl class="snavi-drawer-detail-fields">
+          ${rows.map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('')}
+        </dl>
+      ` : `<p class="snavi-drawer-detail-empty">${t('detailNoMetadata')}</p>`}
+    </li>`;
+}
+
+function wireSlideDetails() {
+  drawerEl.querySelectorAll('.snavi-drawer-expand').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      // Expanding must not open the slide
+      e.stopPropagation();
+      toggleSlideDetail(btn.closest('.snavi-drawer-item'));
+    });
+  });
+  drawerEl.querySelectorAll('.snavi-drawer-detail').forEach(wireDetailImages);
+}
+
+function wireDetailImages(detail) {
+  detail.querySelectorAll('.snavi-drawer-detail-image').forEach(img => {
+    img.addEventListener('error', () => img.closest('.snavi-drawer-detail-figure')?.remove());
+  });
+}
+
+/**
+ * Open or close one slide's detail panel in place, without re-rendering the
+ * list. `expand` forces a state; omitted, it toggles.
+ */
+function toggleSlideDetail(item, expand) {
+  const slideId = item?.dataset.slideId;
+  if (!slideId) return;
+  const isOpen = expandedSlideIds.has(slideId);
+  const open = expand ?? !isOpen;
+  if (open === isOpen) return;
+
+  const btn = item.querySelector('.snavi-drawer-expand');
+  if (open) {
+    const slide = [...(currentStatus?.readySlides || []), ...(currentStatus?.processingSlides || [])]
+      .find(s => s.slideId === slideId);
+    if (!slide) return;
+    expandedSlideIds.add(slideId);
+    item.insertAdjacentHTML('afterend', renderSlideDetail(slide));
+    wireDetailImages(item.nextElementSibling);
+  } else {
+    expandedSlideIds.delete(slideId);
+    document.getElementById(getDetailId(slideId))?.remove();
+  }
+  btn?.setAttribute('aria-expanded', String(open));
+}
+
+// ============================================================================
+// Slide List: grouping, sorting, filtering
+// ============================================================================
+
+/**
+ * The extension icon is web accessible only to the built-in case systems;
+ * on other pages (custom sites) the service worker sends it as a data: URL,
+ * so arbitrary websites can't probe for the extension.
+ */
+async function loadLogo() {
+  const icon = 'icons/icon48.png';
+  const accessible = (chrome.runtime.getManifest().web_accessible_resources || [])
+    .some(entry => entry.resources.includes(icon) && Adapters.urlMatches(location.href, entry.matches || []));
+  if (accessible) {
+    logoUrl = chrome.runtime.getURL(icon);
+    return;
+  }
+  logoUrl = (await requestBackground('GET_LOGO'))?.url || '';
+}
+
+const DRAWER_PREFS_DEFAULTS = { groupBy: 'none', sortBy: 'label' };
+
+async function loadDrawerPrefs() {
+  const { drawerPrefs: saved } = await chrome.storage.sync.get({ drawerPrefs: {} });
+  drawerPrefs = { ...DRAWER_PREFS_DEFAULTS, ...saved };
+}
+
+function saveDrawerPrefs(changes) {
+  drawerPrefs = { ...drawerPrefs, ...changes };
+  chrome.storage.sync.set({ drawerPrefs });
+}
+
+// Follow changes made in another tab
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'sync' || !changes.drawerPrefs) return;
+  const next = { ...DRAWER_PREFS_DEFAULTS, ...changes.drawerPrefs.newValue };
+  if (JSON.stringify(next) === JSON.stringify(drawerPrefs)) return;
+  drawerPrefs = next;
+  if (drawerOpen) renderDrawerContent();
+});
+
+function renderSlideToolbar() {
+  const option = (pref, value, labelKey) =>
+    `<option value="${value}" ${drawerPrefs[pref] === value ? 'selected' : ''}>${t(labelKey)}</option>`;
+  return `
+    <div class="snavi-drawer-toolbar">
+      <input class="snavi-drawer-filter" type="search" value="${escapeHtml(slideFilter)}"
+             placeholder="${t('filterPlaceholder')}" aria-label="${t('filterPlaceholder')}" />
+      <select class="snavi-drawer-group-by" aria-label="${t('groupBy')}">
+        ${option('groupBy', 'none', 'groupNone')}
+        ${option('groupBy', 'block', 'groupBlock')}
+        ${option('groupBy', 'stain', 'groupStain')}
+        ${option('groupBy', 'status', 'groupStatus')}
+      </select>
+      <select class="snavi-drawer-sort-by" aria-label="${t('slideOrder')}">
+        ${option('sortBy', 'label', 'orderLabel')}
+        ${option('sortBy', 'scanDate', 'orderScanDate')}
+        ${option('sortBy', 'stain', 'orderStain')}
+      </select>
+    </div>
+  `;
+}
+
+function wireSlideToolbar() {
+  const filter = drawerEl.querySelector('.snavi-drawer-filter');
+  filter?.addEventListener('input', () => {
+    slideFilter = filter.value;
+    renderSlideList({ animate: false });
+  });
+  filter?.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && filter.value) {
+      // First Escape clears the filter, the next one closes the drawer
+      e.stopPropagation();
+      filter.value = '';
+      slideFilter = '';
+      renderSlideList({ animate: false });
+    } else if (e.key === 'ArrowDown' && getDrawerItems().length) {
+      e.preventDefault();
+      focusDrawerItem(getDrawerItems(), 0);
+    }
+  });
+
+  drawerEl.querySelector('.snavi-drawer-group-by')?.addEventListener('change', (e) => {
+    saveDrawerPrefs({ groupBy: e.target.value });
+    renderSlideList();
+  });
+  drawerEl.querySelector('.snavi-drawer-sort-by')?.addEventListener('change', (e) => {
+    saveDrawerPrefs({ sortBy: e.target.value });
+    renderSlideList();
+  });
+}
+
+/**
+ * Slides as displayed: filtered, sorted and grouped by the drawer prefs.
+ * Returns { groups: [{ title, slides }], processingIds, total, visible }.
+ * Without grouping there is one untitled group, ready slides first.
+ */
+function getSlideGroups(filter = slideFilter) {
+  const ready = currentStatus?.readySlides || [];
+  const processing = currentStatus?.processingSlides || [];
+  const processingIds = new Set(processing.map(s => s.slideId));
+  const all = [...ready, ...processing];
+  const visible = sortSlides(all.filter(s => matchesFilter(s, filter)), drawerPrefs.sortBy);
+
+  let groups;
+  if (drawerPrefs.groupBy === 'status') {
+    groups = [
+      { title: t('groupReady'), slides: visible.filter(s => !processingIds.has(s.slideId)) },
+      { title: t('groupProcessing'), slides: visible.filter(s => processingIds.has(s.slideId)) },
+    ];
+  } else if (drawerPrefs.groupBy === 'block' || drawerPrefs.groupBy === 'stain') {
+    const field = drawerPrefs.groupBy;
+    const byValue = new Map();
+    for (const s of visible) {
+      const value = getSlideField(s, field) ?? '';
+      if (!byValue.has(value)) byValue.set(value, []);
+      byValue.get(value).push(s);
+    }
+    groups = [...byValue.keys()]
+      .sort((a, b) => compareMissingLast(a, b, naturalCompare))
+      .map(value => ({
+        title: value === '' ? t(field === 'block' ? 'groupNoBlock' : 'groupNoStain') : String(value),
+        slides: byValue.get(value),
+      }));
+  } else {
+    groups = [{
+      title: null,
+      slides: [
+        ...visible.filter(s => !processingIds.has(s.slideId)),
+        ...visible.filter(s => processingIds.has(s.slideId)),
+      ],
+    }];
+  }
+
+  return {
+    groups: groups.filter(g => g.slides.length),
+    processingIds,
+    total: all.length,
+    visible: visible.length,
+  };
+}
+
+/**
+ * Render the section header, bulk bar and list into .snavi-drawer-slides, so
+ * filtering and regrouping don't rebuild (and lose focus in) the toolbar.
+ */
+function renderSlideList({ animate = true } = {}) {
+  const container = drawerEl?.querySelector('.snavi-drawer-slides');
+  if (!container) return;
+
+  const { groups, processingIds, total, visible } = getSlideGroups();
+  const visibleReady = groups.flatMap(g => g.slides).filter(s => !processingIds.has(s.slideId));
+  let index = 0;
+
+  container.innerHTML = `
+    <div class="snavi-drawer-section">
+      ${visible === total ? plural('caseSlides', total) : t('caseSlidesFiltered', [visible, total])}
+    </div>
+    ${renderBulkBar(visibleReady)}
+    ${visible ? `
+      <ul class="snavi-drawer-list${animate ? '' : ' snavi-drawer-list--static'}">
+        ${groups.map(group => `
+          ${group.title !== null ? `
+            <li class="snavi-drawer-group" role="presentation">
+              ${escapeHtml(group.title)} <span class="snavi-drawer-group-count">${group.slides.length}</span>
+            </li>
+          ` : ''}
+          ${group.slides.map(s => renderSlideItem(s, index++, processingIds.has(s.slideId))).join('')}
+        `).join('')}
+      </ul>
+    ` : `<div class="snavi-drawer-empty-text snavi-drawer-filter-empty">${t('filterNoMatch')}</div>`}
+  `;
 
   // Replace broken thumb images with microscope placeholder
-  drawerEl.querySelectorAll('img.snavi-drawer-thumb').forEach(img => {
+  container.querySelectorAll('img.snavi-drawer-thumb').forEach(img => {
     img.addEventListener('error', () => {
       const cls = img.className;
       const div = document.createElement('div');
@@ -457,59 +841,153 @@ function renderAuthenticatedView() {
     });
   });
 
-  drawerEl.querySelectorAll('.snavi-drawer-item[data-slide-id]').forEach(item => {
+  container.querySelectorAll('.snavi-drawer-item[data-slide-id]').forEach(item => {
     item.addEventListener('click', () => {
       const slideId = item.dataset.slideId;
-      item.classList.add('snavi-drawer-item--loading');
-      const sublabel = item.querySelector('.snavi-drawer-sublabel');
-      if (sublabel) {
-        sublabel.dataset.originalText = sublabel.textContent;
-        sublabel.textContent = 'Abrindo...';
-      }
+      setItemLoading(slideId);
       requestViewerLink(slideId);
     });
   });
 
-  // Logout button
-  const logoutBtn = drawerEl.querySelector('.snavi-logout-btn');
-  logoutBtn?.addEventListener('click', () => {
-    chrome.storage.sync.set({ deviceToken: '', deviceId: '', deviceName: '' }, () => {
-      authInfo = null;
-      currentStatus = null;
-      renderDrawerContent();
+  wireBulkActions(visibleReady);
+  wireSlideDetails();
+}
+
+/**
+ * Ready slides in drawer order, ignoring the filter. Used where the visible
+ * list doesn't matter (shortcuts, selections hidden by the filter).
+ */
+function getOrderedReadySlides() {
+  const { groups, processingIds } = getSlideGroups('');
+  return groups.flatMap(g => g.slides).filter(s => !processingIds.has(s.slideId));
+}
+
+function matchesFilter(slide, filter) {
+  const terms = normalizeForSearch(filter).split(/\s+/).filter(Boolean);
+  if (!terms.length) return true;
+  const haystack = normalizeForSearch([formatSlideLabel(slide), slide.label, slide.filename].join(' '));
+  return terms.every(term => haystack.includes(term));
+}
+
+function getSlideField(slide, field) {
+  const value = slide[field] ?? slide.metadata?.[field];
+  return value === '' ? null : value;
+}
+
+/**
+ * Order slides for display and bulk open. Missing values sort last.
+ */
+function sortSlides(slides, order) {
+  const byLabel = (a, b) => naturalCompare(formatSlideLabel(a), formatSlideLabel(b));
+  const compare = {
+    label: byLabel,
+    stain: (a, b) => compareMissingLast(getSlideField(a, 'stain'), getSlideField(b, 'stain'), naturalCompare) || byLabel(a, b),
+    scanDate: (a, b) => compareMissingLast(getSlideField(a, 'scannedAt'), getSlideField(b, 'scannedAt'), (x, y) => Date.parse(x) - Date.parse(y)) || byLabel(a, b),
+  }[order] || byLabel;
+  return [...slides].sort(compare);
+}
+
+const collators = new Map();
+
+/**
+ * Natural, case- and accent-insensitive comparison: "A2" < "A10", "CK7" < "CK20".
+ */
+function naturalCompare(a, b) {
+  const locale = I18n.locale();
+  if (!collators.has(locale)) {
+    collators.set(locale, new Intl.Collator(locale, { numeric: true, sensitivity: 'base' }));
+  }
+  return collators.get(locale).compare(String(a), String(b));
+}
+
+function compareMissingLast(a, b, compare) {
+  const missing = v => v === undefined || v === null || v === '';
+  if (missing(a) && missing(b)) return 0;
+  if (missing(a)) return 1;
+  if (missing(b)) return -1;
+  return compare(a, b);
+}
+
+// ============================================================================
+// Bulk Open
+// ============================================================================
+
+function renderBulkBar(ready) {
+  if (ready.length < 2 && !selectedSlideIds.size) return '';
+  const selected = selectedSlideIds.size;
+  return `
+    <div class="snavi-drawer-bulk">
+      <button class="snavi-drawer-bulk-open">
+        ${selected ? t('bulkOpenSelected', selected) : t('bulkOpenAll', ready.length)}
+      </button>
+      ${selected ? `<button class="snavi-drawer-bulk-clear">${t('bulkClear')}</button>` : ''}
+    </div>
+  `;
+}
+
+function wireBulkActions(ready) {
+  drawerEl.querySelectorAll('.snavi-drawer-check').forEach(check => {
+    // Selecting must not open the slide
+    check.addEventListener('click', e => e.stopPropagation());
+    check.addEventListener('change', () => {
+      if (check.checked) selectedSlideIds.add(check.dataset.slideId);
+      else selectedSlideIds.delete(check.dataset.slideId);
+      refreshBulkBar(ready);
     });
   });
 
-  const searchSection = drawerEl.querySelector('.snavi-drawer-search-section');
-  const searchToggle = drawerEl.querySelector('.snavi-search-toggle');
-  searchToggle?.addEventListener('click', () => {
-    searchSection.classList.toggle('snavi-hidden');
-    if (!searchSection.classList.contains('snavi-hidden')) {
-      searchSection.querySelector('.snavi-drawer-input')?.focus();
-    }
-  });
+  wireBulkBar(ready);
+}
 
-  const goBtn = drawerEl.querySelector('.snavi-drawer-go');
-  const inputEl = drawerEl.querySelector('.snavi-drawer-input');
-  goBtn.addEventListener('click', () => {
-    const val = inputEl.value.trim().toUpperCase();
-    if (val && AP_PATTERN.test(val)) {
-      onCaseChange(val.match(AP_PATTERN)[1]);
-    }
+/**
+ * Swap only the bar so ticking a box doesn't re-render (and re-animate) the list.
+ */
+function refreshBulkBar(ready) {
+  const bar = drawerEl.querySelector('.snavi-drawer-bulk');
+  if (bar) bar.outerHTML = renderBulkBar(ready);
+  else drawerEl.querySelector('.snavi-drawer-section')?.insertAdjacentHTML('afterend', renderBulkBar(ready));
+  wireBulkBar(ready);
+}
+
+function wireBulkBar(ready) {
+  drawerEl.querySelector('.snavi-drawer-bulk-open')?.addEventListener('click', () => {
+    // Keep the drawer's order, not the order the boxes were ticked in. A
+    // selection counts even if the filter hides some of it; "all" means visible.
+    const slideIds = selectedSlideIds.size
+      ? getOrderedReadySlides().map(s => s.slideId).filter(id => selectedSlideIds.has(id))
+      : ready.map(s => s.slideId);
+    requestViewerLinks(slideIds);
   });
-  inputEl.addEventListener('keydown', (e) => {
-    if (e.key === 'Enter') goBtn.click();
+
+  drawerEl.querySelector('.snavi-drawer-bulk-clear')?.addEventListener('click', () => {
+    selectedSlideIds.clear();
+    drawerEl.querySelectorAll('.snavi-drawer-check').forEach(check => { check.checked = false; });
+    refreshBulkBar(ready);
   });
 }
 
+function toggleSlideSelection(item) {
+  const check = item.querySelector('.snavi-drawer-check');
+  if (!check) return;
+  check.checked = !check.checked;
+  check.dispatchEvent(new Event('change'));
+}
+
 function openDrawer() {
   if (!drawerEl) createDrawer();
+  if (!drawerOpen && !drawerEl.contains(document.activeElement)) {
+    focusBeforeDrawer = document.activeElement;
+  }
   renderDrawerContent();
   drawerOpen = true;
+  resetStatusPoll();
 
   requestAnimationFrame(() => {
     drawerEl.classList.add('snavi-drawer--open');
     handleEl?.classList.add('snavi-handle--open');
+    if (!drawerEl.contains(document.activeElement)) {
+      (getDrawerItems()[0] || drawerEl.querySelector('.snavi-drawer-close'))?.focus({ preventScroll: true });
+    }
   });
 
   setTimeout(() => {
@@ -519,114 +997,879 @@ function openDrawer() {
 
 function closeDrawer() {
   if (!drawerEl) return;
+  const hadFocus = drawerEl.contains(document.activeElement);
   drawerOpen = false;
   drawerEl.classList.remove('snavi-drawer--open');
   handleEl?.classList.remove('snavi-handle--open');
   document.removeEventListener('click', closeDrawerOnOutside);
+
+  // Hand focus back to where the user was in PathoWeb
+  if (hadFocus) {
+    if (focusBeforeDrawer?.isConnected) focusBeforeDrawer.focus({ preventScroll: true });
+    else document.activeElement?.blur();
+  }
+  focusBeforeDrawer = null;
 }
 
 function toggleDrawer() {
   drawerOpen ? closeDrawer() : openDrawer();
 }
 
-function closeDrawerOnOutside(e) {
-  if (drawerEl && !drawerEl.contains(e.target) && !handleEl?.contains(e.target)) {
-    closeDrawer();
-  }
-}
-
 // ============================================================================
-// Toast
+// Case History: pinned and recent cases
 // ============================================================================
 
-async function showDebugToast(message) {
-  const cfg = await getConfig();
-  if (!cfg.debug) return;
+async function loadCaseHistory() {
+  caseHistory = await CaseHistory.getHistory(activeAdapter.externalIdNamespace);
+}
 
-  removeToast();
-  toastEl = document.createElement('div');
-  toastEl.className = 'snavi-toast';
-  toastEl.textContent = `[SuperNavi] ${message}`;
-  document.body.appendChild(toastEl);
-  requestAnimationFrame(() => toastEl.classList.add('snavi-toast--visible'));
-  setTimeout(() => removeToast(), 4000);
+function isCasePinned(caseBase) {
+  return caseHistory.pinned.some(e => e.caseBase === caseBase);
 }
 
-function removeToast() {
-  if (toastEl) { toastEl.remove(); toastEl = null; }
+function renderPinButton(className, caseBase) {
+  const pinned = isCasePinned(caseBase);
+  const label = t(pinned ? 'unpinCase' : 'pinCase', caseBase);
+  return `
+    <button class="${className} snavi-drawer-pin" type="button" data-case-base="${escapeHtml(caseBase)}"
+            aria-pressed="${pinned}" title="${escapeHtml(label)}" aria-label="${escapeHtml(label)}">${ICON.pin}</button>`;
+}
+
+function renderHistoryEntry(entry) {
+  const current = entry.caseBase === currentCaseBase;
+  const { ready = 0, processing = 0 } = entry.counts || {};
+  const counts = entry.counts
+    ? `${plural('slidesReady', ready)}, ${plural('slidesProcessing', processing)}`
+    : '';
+  return `
+    <li class="snavi-drawer-history-item${current ? ' snavi-drawer-history-item--current' : ''}">
+      <button class="snavi-drawer-history-open" type="button" data-case-base="${escapeHtml(entry.caseBase)}"
+              ${current ? 'aria-current="true"' : ''} title="${escapeHtml(counts)}">
+        <span class="snavi-drawer-history-case">${escapeHtml(entry.caseBase)}</span>
+        ${ready ? `<span class="snavi-badge-ready">${ready}</span>` : ''}
+        ${processing ? `<span class="snavi-badge-processing">${processing}</span>` : ''}
+        <span class="snavi-drawer-history-time">${escapeHtml(formatRelativeTime(entry.viewedAt))}</span>
+      </button>
+      ${renderPinButton('snavi-drawer-history-pin', entry.caseBase)}
+    </li>`;
+}
+
+/**
+ * Fill the history list under the search field and sync the pin button of
+ * the active case. Runs on its own when the history changes in any tab.
+ */
+function renderCaseHistory() {
+  const container = drawerEl?.querySelector('.snavi-drawer-history');
+  if (!container) return;
+
+  const focused = container.contains(document.activeElement) ? document.activeElement : null;
+  const focusKey = focused && [focused.className, focused.dataset.caseBase];
+
+  const { pinned, recent } = caseHistory;
+  const group = (titleKey, entries) => entries.length ? `
+    <div class="snavi-drawer-history-title">${t(titleKey)}</div>
+    <ul class="snavi-drawer-history-list">${entries.map(renderHistoryEntry).join('')}</ul>
+  ` : '';
+  container.innerHTML = pinned.length || recent.length
+    ? group('historyPinned', pinned) + group('historyRecent', recent)
+    : `<div class="snavi-drawer-history-empty">${t('historyEmpty')}</div>`;
+
+  container.querySelectorAll('.snavi-drawer-history-open').forEach(btn => {
+    btn.addEventListener('click', () => onCaseChange(btn.dataset.caseBase));
+  });
+  container.querySelectorAll('.snavi-drawer-history-pin').forEach(btn => {
+    btn.addEventListener('click', togglePinnedCase);
+  });
+
+  const casePin = drawerEl.querySelector('.snavi-drawer-case-pin');
+  if (casePin) casePin.outerHTML = renderPinButton('snavi-drawer-case-pin', currentCaseBase);
+  drawerEl.querySelector('.snavi-drawer-case-pin')?.addEventListener('click', togglePinnedCase);
+
+  if (focusKey) {
+    const [className, caseBase] = focusKey;
+    [...container.querySelectorAll('button')]
+      .find(el => el.className === className && el.dataset.caseBase === caseBase)
+      ?.focus();
+  }
+}
+
+function togglePinnedCase(e) {
+  const { caseBase } = e.currentTarget.dataset;
+  CaseHistory.setPinned(activeAdapter.externalIdNamespace, caseBase, !isCasePinned(caseBase));
 }
 
 // ============================================================================
-// Communication with Background
+// Watched Cases: desktop notification when processing slides are ready
 // ============================================================================
 
-function requestCaseStatus(caseBase) {
-  chrome.runtime.sendMessage({ type: 'CASE_DETECTED', caseBase });
+async function loadWatchedCases() {
+  watchedCases = await WatchList.getWatched();
 }
 
-function clearItemLoading(slideId) {
-  if (!drawerEl) return;
-  const item = drawerEl.querySelector(`.snavi-drawer-item[data-slide-id="${slideId}"]`);
-  if (!item) return;
-  item.classList.remove('snavi-drawer-item--loading');
-  const sublabel = item.querySelector('.snavi-drawer-sublabel');
-  if (sublabel && sublabel.dataset.originalText) {
-    sublabel.textContent = sublabel.dataset.originalText;
-    delete sublabel.dataset.originalText;
-  }
+function watchKey(caseBase) {
+  return { profileId: authInfo?.profileId, namespace: activeAdapter.externalIdNamespace, caseBase };
 }
 
-function requestViewerLink(slideId) {
-  if (debounceTimer) return;
-  debounceTimer = setTimeout(() => { debounceTimer = null; }, 2000);
+function isCaseWatched(caseBase) {
+  const { profileId, namespace } = watchKey(caseBase);
+  return watchedCases.some(e => e.profileId === profileId && e.namespace === namespace && e.caseBase === caseBase);
+}
 
-  chrome.runtime.sendMessage({
-    type: 'REQUEST_VIEWER_LINK',
-    slideId,
-    externalCaseId: currentCaseBase ? `pathoweb:${currentCaseBase}` : undefined,
-    patientData: currentPatientData || undefined,
-  });
+/**
+ * Bell next to the pin of the active case, while it has slides processing
+ * (or is already watched, to stop). Checks and notifications are the
+ * background's, so they go on with the tab closed.
+ */
+function renderWatchButton() {
+  if (!currentCaseBase || !authInfo?.authenticated) return '';
+  const watched = isCaseWatched(currentCaseBase);
+  if (!watched && !currentStatus?.processingSlides?.length) return '';
+  const label = t(watched ? 'unwatchCase' : 'watchCase', currentCaseBase);
+  return `
+    <button class="snavi-drawer-case-watch snavi-drawer-watch" type="button"
+            aria-pressed="${watched}" title="${escapeHtml(label)}" aria-label="${escapeHtml(label)}">${ICON.bell}</button>`;
 }
 
-function requestAuthInfo() {
-  chrome.runtime.sendMessage({ type: 'GET_AUTH_INFO' });
+function wireWatchButton() {
+  drawerEl?.querySelector('.snavi-drawer-case-watch')?.addEventListener('click', toggleWatchedCase);
 }
 
-chrome.runtime.onMessage.addListener((msg) => {
-  if (msg.type === 'AUTH_INFO') {
-    const wasAuthenticated = authInfo?.authenticated;
-    authInfo = msg;
-    configCache = null;
-    if (drawerOpen) renderDrawerContent();
+/**
+ * Redraw the bell alone when the list changes here, in another tab or in
+ * the options page, keeping focus on it.
+ */
+function syncWatchButton() {
+  const caseEl = drawerEl?.querySelector('.snavi-drawer-case');
+  if (!caseEl) return;
+  const focused = document.activeElement?.classList.contains('snavi-drawer-case-watch');
+  caseEl.querySelector('.snavi-drawer-case-watch')?.remove();
+  caseEl.insertAdjacentHTML('beforeend', renderWatchButton());
+  wireWatchButton();
+  if (focused) caseEl.querySelector('.snavi-drawer-case-watch')?.focus();
+}
 
-    // Just paired — fetch case status now that we have credentials
-    if (!wasAuthenticated && msg.authenticated && currentCaseBase) {
-      requestCaseStatus(currentCaseBase);
-    }
+async function toggleWatchedCase() {
+  const caseBase = currentCaseBase;
+  if (isCaseWatched(caseBase)) {
+    await WatchList.unwatch(watchKey(caseBase));
+    return;
   }
-  if (msg.type === 'PAIRING_RESULT') {
+  await WatchList.watch({
+    ...watchKey(caseBase),
+    externalCaseId: Adapters.toExternalCaseId(activeAdapter, caseBase),
+  }, currentStatus);
+  notify('success', t('watchStarted', caseBase), { key: 'watch' });
+}
+
+// ============================================================================
+// Prior Cases of the Patient
+// ============================================================================
+
+/**
+ * Ask the cloud for other cases linked to the scraped patient identifier.
+ * The answer (PATIENT_CASES) is kept until the case changes.
+ */
+function requestPatientCases({ force = false } = {}) {
+  const patientId = currentPatientData?.patientId;
+  if (!patientId || !authInfo?.authenticated) return;
+  const patientKey = `${activeAdapter.externalIdNamespace}:${patientId}`;
+  if (priorCases?.patientKey === patientKey && !force) return;
+
+  priorCases = { patientKey, loading: true, cases: [] };
+  requestBackground('GET_PATIENT_CASES', {
+    externalPatientId: patientKey,
+    externalCaseId: currentCaseBase && Adapters.toExternalCaseId(activeAdapter, currentCaseBase),
+  });
+  renderPriorCases();
+}
+
+function handlePatientCases(msg) {
+  if (msg.externalPatientId !== priorCases?.patientKey) return; // Patient changed meanwhile
+  priorCases = { ...priorCases, loading: false, cases: msg.cases || [] };
+  if (msg.code) {
+    notifyError(msg.code, 'patient', {
+      key: 'patient-cases',
+      retry: () => requestPatientCases({ force: true }),
+    });
+  } else {
+    dismissNoticeByKey('patient-cases');
+  }
+  renderPriorCases();
+}
+
+/**
+ * Other cases of the patient, newest first. Each case is
+ * { caseBase, externalCaseId, date, readySlides, processingSlides }.
+ */
+function getPriorCases() {
+  return (priorCases?.cases || [])
+    .filter(c => c.caseBase && c.caseBase !== currentCaseBase)
+    .sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')));
+}
+
+function renderPriorSlide(priorCase, s) {
+  const externalCaseId = priorCase.externalCaseId || Adapters.toExternalCaseId(activeAdapter, priorCase.caseBase);
+  const label = formatSlideLabel(s);
+  return `
+    <li class="snavi-drawer-prior-slide" data-slide-id="${escapeHtml(s.slideId)}" data-external-case-id="${escapeHtml(externalCaseId)}">
+      ${s.thumbUrl
+        ? `<img class="snavi-drawer-prior-thumb" src="${escapeHtml(getThumbUrl(s.thumbUrl))}" alt="" />`
+        : `<div class="snavi-drawer-prior-thumb snavi-thumb-placeholder">${THUMB_PLACEHOLDER_SVG}</div>`}
+      <span class="snavi-drawer-prior-label">${escapeHtml(label)}</span>
+      <button class="snavi-drawer-prior-open" type="button"
+              aria-label="${escapeHtml(t('priorOpenLabel', [label, priorCase.caseBase]))}">${t('priorOpen')}</button>
+      <button class="snavi-drawer-prior-alongside" type="button" title="${t('priorAlongsideHint')}"
+              aria-label="${escapeHtml(t('priorAlongsideLabel', [label, priorCase.caseBase]))}">${t('priorAlongside')}</button>
+    </li>`;
+}
+
+function renderPriorCase(priorCase) {
+  const ready = priorCase.readySlides || [];
+  const processing = priorCase.processingSlides?.length || 0;
+  const sorted = sortSlides(ready, 'label');
+  return `
+    <li class="snavi-drawer-prior-case">
+      <div class="snavi-drawer-prior-case-header">
+        <span class="snavi-drawer-prior-case-value">${escapeHtml(priorCase.caseBase)}</span>
+        ${priorCase.date ? `<span class="snavi-drawer-prior-case-date">${escapeHtml(formatDate(priorCase.date))}</span>` : ''}
+      </div>
+      ${sorted.length
+        ? `<ul class="snavi-drawer-prior-slides">${sorted.map(s => renderPriorSlide(priorCase, s)).join('')}</ul>`
+        : `<div class="snavi-drawer-prior-status">${processing ? plural('slidesProcessing', processing) : t('priorNoSlides')}</div>`}
+    </li>`;
+}
+
+/**
+ * Collapsible "prior cases" section under the slide list. Hidden until a
+ * patient identifier is known, and when the patient has no other cases.
+ */
+function renderPriorCases() {
+  const container = drawerEl?.querySelector('.snavi-drawer-prior');
+  if (!container) return;
+
+  const cases = getPriorCases();
+  if (!priorCases || (!priorCases.loading && !cases.length)) {
+    container.innerHTML = '';
+    return;
+  }
+
+  container.innerHTML = `
+    <button class="snavi-drawer-prior-toggle" type="button" aria-expanded="${priorCasesExpanded}"
+            aria-controls="snavi-prior-cases">
+      ${ICON.details}
+      <span>${t('priorCasesTitle')}</span>
+      ${priorCases.loading ? '' : `<span class="snavi-drawer-group-count">${cases.length}</span>`}
+    </button>
+    <div id="snavi-prior-cases" class="snavi-drawer-prior-body"${priorCasesExpanded ? '' : ' hidden'}>
+      ${priorCases.loading
+        ? `<div class="snavi-drawer-prior-status">${t('priorLoading')}</div>`
+        : `<ul class="snavi-drawer-prior-list">${cases.map(renderPriorCase).join('')}</ul>`}
+    </div>
+  `;
+
+  container.querySelector('.snavi-drawer-prior-toggle').addEventListener('click', () => {
+    priorCasesExpanded = !priorCasesExpanded;
+    renderPriorCases();
+    container.querySelector('.snavi-drawer-prior-toggle')?.focus();
+  });
+
+  container.querySelectorAll('img.snavi-drawer-prior-thumb').forEach(img => {
+    img.addEventListener('error', () => {
+      const div = document.createElement('div');
+      div.className = `${img.className} snavi-thumb-placeholder`;
+      div.innerHTML = THUMB_PLACEHOLDER_SVG;
+      img.replaceWith(div);
+    });
+  });
+
+  container.querySelectorAll('.snavi-drawer-prior-slide').forEach(row => {
+    const open = (alongside) => {
+      row.classList.add('snavi-drawer-prior-slide--loading');
+      requestViewerLink(row.dataset.slideId, { externalCaseId: row.dataset.externalCaseId, alongside });
+    };
+    row.querySelector('.snavi-drawer-prior-open').addEventListener('click', () => open(false));
+    row.querySelector('.snavi-drawer-prior-alongside').addEventListener('click', () => open(true));
+  });
+}
+
+// ============================================================================
+// Connection Profiles
+// ============================================================================
+
+/**
+ * Profile switcher for the drawer footer, shown once there is more than one
+ * profile. Profiles are created and named in the options page; the list
+ * arrives with AUTH_INFO, without credentials.
+ */
+function renderProfileSwitcher() {
+  const profiles = authInfo?.profiles || [];
+  if (profiles.length < 2) return '';
+  return `
+    <label class="snavi-profile-switcher">
+      <span class="snavi-profile-switcher-label">${t('profileLabel')}</span>
+      <select class="snavi-profile-select" aria-label="${t('profileSwitch')}">
+        ${profiles.map(p => `
+          <option value="${escapeHtml(p.id)}" ${p.id === authInfo.profileId ? 'selected' : ''}>
+            ${escapeHtml(p.configured ? p.label : t('profileNotPaired', p.label))}
+          </option>
+        `).join('')}
+      </select>
+    </label>
+  `;
+}
+
+function wireProfileSwitcher() {
+  const select = drawerEl.querySelector('.snavi-profile-select');
+  select?.addEventListener('change', () => {
+    select.disabled = true;
+    // Every tab, this one included, re-renders on the AUTH_INFO that follows
+    requestBackground('SWITCH_PROFILE', { profileId: select.value });
+  });
+}
+
+/**
+ * Forget everything fetched from the server: statuses, list badges and prior
+ * cases. Used on profile switch, logout and revocation, in every tab.
+ */
+function clearSessionData() {
+  currentStatus = null;
+  priorCases = null;
+  selectedSlideIds.clear();
+  expandedSlideIds.clear();
+  stopStatusPoll();
+  statusPollDelay = STATUS_POLL_MIN_MS;
+  listStatuses.clear();
+  listPending.clear();
+  listFailed.clear();
+  document.querySelectorAll('.snavi-badge[data-case-base]').forEach(badge => badge.remove());
+  if (handleEl) handleEl.title = 'SuperNavi';
+}
+
+// ============================================================================
+// Keyboard
+// ============================================================================
+
+function getDrawerItems() {
+  return drawerEl ? [...drawerEl.querySelectorAll('.snavi-drawer-item[data-slide-id]')] : [];
+}
+
+function getDrawerFocusables() {
+  const selector = 'button:not([disabled]), input:not([disabled]), select:not([disabled]), '
+    + 'textarea:not([disabled]), a[href], [tabindex="0"]';
+  // A disabled fieldset disables its controls without the attribute
+  return [...drawerEl.querySelectorAll(selector)]
+    .filter(el => !el.matches(':disabled') && el.offsetParent !== null);
+}
+
+/**
+ * Arrow keys move across slides (roving tabindex), Right/Left show and hide
+ * the slide's details, Enter opens, Space selects, Escape closes and Tab stays
+ * inside the drawer while it is open.
+ */
+function onDrawerKeydown(e) {
+  if (e.key === 'Escape') {
+    e.preventDefault();
+    closeDrawer();
+    return;
+  }
+
+  if (e.key === 'Tab') {
+    const focusables = getDrawerFocusables();
+    if (!focusables.length) return;
+    const first = focusables[0];
+    const last = focusables[focusables.length - 1];
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+    return;
+  }
+
+  // Typing in the search or pairing input keeps its own arrow/Enter handling
+  if (e.target.matches('input:not([type="checkbox"]), select')) return;
+
+  const items = getDrawerItems();
+  const current = items.indexOf(e.target.closest('.snavi-drawer-item'));
+
+  if (current >= 0 && e.key === 'Enter') {
+    e.preventDefault();
+    items[current].click();
+    return;
+  }
+  if (current >= 0 && e.key === ' ') {
+    e.preventDefault();
+    toggleSlideSelection(items[current]);
+    return;
+  }
+  if (current >= 0 && (e.key === 'ArrowRight' || e.key === 'ArrowLeft')) {
+    e.preventDefault();
+    toggleSlideDetail(items[current], e.key === 'ArrowRight');
+    return;
+  }
+
+  const next = {
+    ArrowDown: Math.min(current + 1, items.length - 1),
+    ArrowUp: Math.max(current - 1, 0),
+    Home: 0,
+    End: items.length - 1,
+  }[e.key];
+  if (next === undefined || !items.length) return;
+
+  e.preventDefault();
+  focusDrawerItem(items, current < 0 && e.key === 'ArrowUp' ? 0 : next);
+}
+
+function focusDrawerItem(items, index) {
+  items.forEach((el, i) => { el.tabIndex = i === index ? 0 : -1; });
+  items[index]?.focus();
+  items[index]?.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * chrome.commands shortcuts forwarded by background.js
+ */
+function handleCommand(command) {
+  if (command === 'toggle-drawer') {
+    toggleDrawer();
+  } else if (command === 'open-first-slide') {
+    const slide = getOrderedReadySlides()[0];
+    if (!slide) {
+      notify('info', t('noReadySlide'), { key: 'shortcut' });
+      return;
+    }
+    if (!drawerOpen) openDrawer();
+    const item = getDrawerItems().find(el => el.dataset.slideId === slide.slideId);
+    if (item) item.click();
+    else requestViewerLink(slide.slideId);
+  } else if (command === 'focus-search') {
+    if (!drawerOpen) openDrawer();
+    const search = drawerEl.querySelector('.snavi-drawer-search-section');
+    search?.classList.remove('snavi-hidden');
+    (search?.querySelector('.snavi-drawer-input') || drawerEl.querySelector('.snavi-pair-input'))?.focus();
+  }
+}
+
+function closeDrawerOnOutside(e) {
+  if (drawerEl && !drawerEl.contains(e.target) && !handleEl?.contains(e.target)) {
+    closeDrawer();
+  }
+}
+
+// ============================================================================
+// Toast
+// ============================================================================
+
+async function showDebugToast(message) {
+  const cfg = await getConfig();
+  if (!cfg.debug) return;
+  showToast(`[SuperNavi] ${message}`);
+}
+
+function showToast(message, level = 'info') {
+  removeToast();
+  toastEl = document.createElement('div');
+  toastEl.className = `snavi-toast snavi-toast--${level}`;
+  toastEl.textContent = message;
+  document.body.appendChild(toastEl);
+  requestAnimationFrame(() => toastEl?.classList.add('snavi-toast--visible'));
+  setTimeout(() => removeToast(), 4000);
+}
+
+function removeToast() {
+  if (toastEl) { toastEl.remove(); toastEl = null; }
+}
+
+// ============================================================================
+// Notices
+// ============================================================================
+
+/**
+ * User-facing messages (i18n keys) keyed by the error codes background.js
+ * sends (ApiError.code). `retry` marks errors worth offering a retry for.
+ */
+const ERROR_NOTICES = {
+  'unauthorized': { level: 'error', message: 'errorUnauthorized', pair: true },
+  'not-configured': { level: 'warning', message: 'errorNotConfigured', pair: true },
+  'offline': { level: 'error', message: 'errorOffline', retry: true },
+  'timeout': { level: 'error', message: 'errorTimeout', retry: true },
+  'server': { level: 'error', message: 'errorServer', retry: true },
+  'rate-limited': { level: 'warning', message: 'errorRateLimited', retry: true },
+  'forbidden': { level: 'error', message: 'errorForbidden' },
+  'client': { level: 'error', message: 'errorClient' },
+};
+
+const NOT_FOUND_NOTICES = {
+  case: 'notFoundCase',
+  slide: 'notFoundSlide',
+  list: 'notFoundList',
+};
+
+const CONTEXT_PREFIX = {
+  case: 'contextCase',
+  slide: 'contextSlide',
+  list: 'contextList',
+  patient: 'contextPatient',
+};
+
+/**
+ * Show a notice: inline banner in the drawer, a toast when the drawer is
+ * closed, and an announcement through the ARIA live regions. Notices with the
+ * same `key` replace each other.
+ */
+function notify(level, message, { key, action, timeoutMs = NOTICE_TIMEOUT_MS[level] } = {}) {
+  // Repeated failures (e.g. while polling) shouldn't re-toast the same message
+  const same = key && notices.find(n => n.key === key && n.message === message);
+  if (same) return same.id;
+
+  if (key) notices = notices.filter(n => n.key !== key);
+  const notice = { id: ++noticeSeq, key, level, message, action };
+  notices.push(notice);
+
+  renderNotices();
+  announce(message, level);
+  if (!drawerOpen) showToast(message, level);
+
+  if (timeoutMs) setTimeout(() => dismissNotice(notice.id), timeoutMs);
+  return notice.id;
+}
+
+/**
+ * Map an error code from background.js to a localized, actionable notice.
+ * `context` is 'case', 'slide' or 'list'; `retry` re-runs the failed action.
+ */
+function notifyError(code, context, { key, retry } = {}) {
+  const spec = code === 'not-found'
+    ? { level: 'warning', message: NOT_FOUND_NOTICES[context] }
+    : ERROR_NOTICES[code] || { level: 'error', message: 'errorUnexpected', retry: true };
+
+  let action;
+  if (spec.pair) {
+    action = { label: t('actionPair'), run: showPairing };
+  } else if (spec.retry && retry) {
+    action = { label: t('actionRetry'), run: retry };
+  }
+
+  const message = code === 'not-found' || spec.pair
+    ? t(spec.message)
+    : `${t(CONTEXT_PREFIX[context])}. ${t(spec.message)}`;
+  return notify(spec.level, message, { key, action });
+}
+
+function dismissNotice(id) {
+  const before = notices.length;
+  notices = notices.filter(n => n.id !== id);
+  if (notices.length !== before) renderNotices();
+}
+
+function dismissNoticeByKey(key) {
+  const before = notices.length;
+  notices = notices.filter(n => n.key !== key);
+  if (notices.length !== before) renderNotices();
+}
+
+function renderNotices() {
+  const container = drawerEl?.querySelector('.snavi-drawer-notices');
+  if (!container) return;
+
+  container.replaceChildren(...notices.map(notice => {
+    const banner = document.createElement('div');
+    banner.className = `snavi-drawer-banner snavi-drawer-banner--${notice.level}`;
+
+    const text = document.createElement('span');
+    text.className = 'snavi-drawer-banner-text';
+    text.textContent = notice.message;
+    banner.appendChild(text);
+
+    if (notice.action) {
+      const actionBtn = document.createElement('button');
+      actionBtn.className = 'snavi-drawer-banner-action';
+      actionBtn.textContent = notice.action.label;
+      actionBtn.addEventListener('click', () => {
+        dismissNotice(notice.id);
+        notice.action.run();
+      });
+      banner.appendChild(actionBtn);
+    }
+
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'snavi-drawer-banner-close';
+    closeBtn.setAttribute('aria-label', t('dismissNotice'));
+    closeBtn.innerHTML = ICON.close;
+    closeBtn.addEventListener('click', () => dismissNotice(notice.id));
+    banner.appendChild(closeBtn);
+
+    return banner;
+  }));
+}
+
+/**
+ * Screen-reader announcement: errors interrupt (assertive), the rest waits.
+ */
+function announce(message, level) {
+  if (!liveRegions) {
+    const make = (role, live) => {
+      const el = document.createElement('div');
+      el.className = 'snavi-sr-only';
+      el.setAttribute('role', role);
+      el.setAttribute('aria-live', live);
+      document.body.appendChild(el);
+      return el;
+    };
+    liveRegions = { polite: make('status', 'polite'), assertive: make('alert', 'assertive') };
+  }
+  const region = level === 'error' ? liveRegions.assertive : liveRegions.polite;
+  // Clear first so repeating the same message is announced again
+  region.textContent = '';
+  setTimeout(() => { region.textContent = message; }, 50);
+}
+
+function showPairing() {
+  authInfo = { ...authInfo, authenticated: false };
+  if (drawerOpen) renderDrawerContent();
+  else openDrawer();
+}
+
+// ============================================================================
+// Communication with Background
+// ============================================================================
+
+/**
+ * Ask the service worker (see protocol.js). The reply goes through the same
+ * handler as the messages pushed to this tab, and is returned too; null when
+ * there is none, as after an extension update (see onStale below).
+ */
+function requestBackground(type, payload) {
+  return Protocol.request(type, payload)
+    .then(reply => {
+      handleBackgroundMessage(reply);
+      return reply;
+    })
+    .catch(err => {
+      if (err.code !== Protocol.PROTOCOL_ERROR.STALE) showDebugToast(`${type}: ${err.message}`);
+      return null;
+    });
+}
+
+// The extension was updated under this page: this script can't reach the new
+// service worker, so stop polling and ask for a reload
+Protocol.onStale(() => {
+  extensionStale = true;
+  stopStatusPoll();
+  notify('warning', t('extensionUpdated'), {
+    key: 'extension-updated',
+    action: { label: t('actionReload'), run: () => location.reload() },
+  });
+});
+
+function requestCaseStatus(caseBase) {
+  requestBackground('CASE_DETECTED', {
+    caseBase,
+    externalCaseId: Adapters.toExternalCaseId(activeAdapter, caseBase),
+  });
+}
+
+function setItemLoading(slideId) {
+  const item = drawerEl?.querySelector(`.snavi-drawer-item[data-slide-id="${CSS.escape(slideId)}"]`);
+  if (!item) return;
+  item.classList.add('snavi-drawer-item--loading');
+  const sublabel = item.querySelector('.snavi-drawer-sublabel');
+  if (sublabel && !sublabel.dataset.originalText) {
+    sublabel.dataset.originalText = sublabel.textContent;
+    sublabel.textContent = t('opening');
+  }
+}
+
+function clearItemLoading(slideId) {
+  if (!drawerEl) return;
+  drawerEl.querySelector(`.snavi-drawer-prior-slide[data-slide-id="${CSS.escape(slideId)}"]`)
+    ?.classList.remove('snavi-drawer-prior-slide--loading');
+  const item = drawerEl.querySelector(`.snavi-drawer-item[data-slide-id="${CSS.escape(slideId)}"]`);
+  if (!item) return;
+  item.classList.remove('snavi-drawer-item--loading');
+  const sublabel = item.querySelector('.snavi-drawer-sublabel');
+  if (sublabel && sublabel.dataset.originalText) {
+    sublabel.textContent = sublabel.dataset.originalText;
+    delete sublabel.dataset.originalText;
+  }
+}
+
+/**
+ * Open one slide. Slides of other cases (prior cases of the patient) pass
+ * their own externalCaseId; `alongside` puts it next to the open Viewer.
+ */
+function requestViewerLink(slideId, { externalCaseId, alongside = false } = {}) {
+  if (debounceTimer) return;
+  debounceTimer = setTimeout(() => { debounceTimer = null; }, 2000);
+
+  requestBackground('REQUEST_VIEWER_LINK', {
+    slideId,
+    externalCaseId: externalCaseId || Adapters.toExternalCaseId(activeAdapter, currentCaseBase),
+    patientData: currentPatientData || undefined,
+    alongside,
+  });
+}
+
+/**
+ * Open several slides together, in the given order. Not subject to the
+ * single-slide debounce: one click, one request.
+ */
+function requestViewerLinks(slideIds) {
+  if (!slideIds.length) return;
+  slideIds.forEach(setItemLoading);
+  requestBackground('REQUEST_VIEWER_LINKS', {
+    slideIds,
+    externalCaseId: Adapters.toExternalCaseId(activeAdapter, currentCaseBase),
+    patientData: currentPatientData || undefined,
+  });
+}
+
+function refreshStatus(caseBase) {
+  requestBackground('REFRESH_STATUS', { caseBase });
+}
+
+/**
+ * A slide we listed is gone on the server: reload the list it came from,
+ * the current case's status or, for a slide of a prior case, the patient's
+ * other cases.
+ */
+function refreshAfterMissingSlide(externalCaseId) {
+  const caseBase = externalCaseId?.split(':').pop();
+  if (!caseBase || caseBase === currentCaseBase) {
+    if (currentCaseBase) refreshStatus(currentCaseBase);
+  } else if (priorCases) {
+    requestPatientCases({ force: true });
+  }
+}
+
+function requestAuthInfo() {
+  requestBackground('GET_AUTH_INFO');
+}
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  // The toolbar popup asks which case this page shows, to search it directly
+  if (msg.type === 'GET_PAGE_CASE') {
+    sendResponse({
+      caseBase: currentCaseBase,
+      namespace: activeAdapter?.externalIdNamespace,
+      adapterName: activeAdapter?.name,
+    });
+    return;
+  }
+  handleBackgroundMessage(msg);
+});
+
+/**
+ * Replies to our requests and messages the service worker pushes on its own
+ * (broadcasts, revalidated statuses, commands) alike.
+ */
+function handleBackgroundMessage(msg) {
+  if (msg.type === 'AUTH_INFO') {
+    // Another profile means another server, and a revoked or logged out
+    // device may not keep what it fetched: nothing shown so far applies
+    const switched = authInfo && authInfo.profileId !== msg.profileId;
+    const wasAuthenticated = authInfo?.authenticated && !switched;
+    if (switched || (wasAuthenticated && !msg.authenticated)) clearSessionData();
+    authInfo = msg;
+    configCache = null;
+
+    // Device token revoked or expired on the server: back to pairing
+    if (!msg.authenticated && msg.reason === 'unauthorized') {
+      pairingNotice = t('sessionExpired');
+      currentStatus = null;
+      stopStatusPoll();
+    } else if (!msg.authenticated) {
+      currentStatus = null;
+      stopStatusPoll();
+    } else {
+      pairingNotice = null;
+    }
+    if (drawerOpen) renderDrawerContent();
+
+    // Just paired (or switched) — fetch case status now that we have credentials
+    if (!wasAuthenticated && msg.authenticated && currentCaseBase) {
+      requestCaseStatus(currentCaseBase);
+    }
+    if (!wasAuthenticated && msg.authenticated) {
+      scheduleListScan();
+      requestPatientCases();
+    }
+  }
+  if (msg.type === 'PAIRING_RESULT') {
     if (msg.success) {
-      showDebugToast(`Pareado: ${msg.deviceName}`);
+      notify('success', t('devicePaired', msg.deviceName), { key: 'pairing' });
     } else {
       const feedbackEl = drawerEl?.querySelector('.snavi-pair-feedback');
       if (feedbackEl) {
-        feedbackEl.textContent = msg.error || 'Erro ao parear';
+        feedbackEl.textContent = msg.error || t('pairError');
         feedbackEl.classList.add('snavi-pair-feedback--error');
       }
       const btn = drawerEl?.querySelector('.snavi-pair-btn');
       if (btn) {
         btn.disabled = false;
         btn.classList.remove('snavi-pair-btn--loading');
-        btn.querySelector('.snavi-pair-btn-text').textContent = 'Conectar';
+        btn.querySelector('.snavi-pair-btn-text').textContent = t('pairConnect');
       }
     }
   }
   if (msg.type === 'CASE_STATUS') {
+    if (msg.caseBase !== currentCaseBase) return; // Stale reply for a previous case
+    const previous = currentStatus;
     currentStatus = msg;
-    handleStatusUpdate(msg);
+    dismissNoticeByKey('case-status');
+    if (msg.cache?.offline) {
+      notify('warning', t('offlineCache', formatTime(msg.cache.fetchedAt)), {
+        key: 'offline-cache',
+        action: { label: t('actionRetry'), run: () => refreshStatus(msg.caseBase) },
+      });
+    } else {
+      dismissNoticeByKey('offline-cache');
+    }
+    handleStatusUpdate(msg, previous);
+    if (!sameSlides(msg, previous)) {
+      CaseHistory.recordVisit(activeAdapter.externalIdNamespace, msg.caseBase, msg);
+    }
+  }
+  if (msg.type === 'CASE_STATUS_BATCH') {
+    handleBatchStatus(msg.cases || {}, msg.caseBases || []);
+    if (msg.code) notifyError(msg.code, 'list', { key: 'list-status', retry: retryListScan });
   }
   if (msg.type === 'CASE_STATUS_ERROR') {
     showDebugToast(`API error: ${msg.error}`);
+    if (msg.caseBase !== currentCaseBase) return;
+    // Background polls keep retrying on their own; only surface it once
+    if (!currentStatus?.cache?.offline) {
+      notifyError(msg.code, 'case', { key: 'case-status', retry: () => refreshStatus(msg.caseBase) });
+    }
+    scheduleStatusPoll();
+  }
+  if (msg.type === 'VIEWER_LINKS_OPENED' || msg.type === 'VIEWER_LINKS_ERROR') {
+    (msg.slideIds || []).forEach(clearItemLoading);
+    if (msg.type === 'VIEWER_LINKS_OPENED') {
+      selectedSlideIds.clear();
+      if (drawerOpen) renderDrawerContent();
+      if (msg.failedSlideIds?.length) {
+        notify('warning', plural('bulkOpenFailed', msg.failedSlideIds.length), { key: 'bulk-open' });
+      }
+    } else {
+      notifyError(msg.code, 'slide', {
+        key: 'bulk-open',
+        retry: () => requestViewerLinks(msg.slideIds),
+      });
+    }
+  }
+  // Context menu on a case number with several slides: choose in the drawer
+  if (msg.type === 'OPEN_CASE') {
+    onCaseChange(msg.caseBase);
+    if (!drawerOpen) openDrawer();
+  }
+  if (msg.type === 'PATIENT_CASES') {
+    handlePatientCases(msg);
+  }
+  if (msg.type === 'COMMAND') {
+    handleCommand(msg.command);
   }
   if (msg.type === 'VIEWER_LINK') {
     window.open(msg.url, '_blank');
@@ -634,16 +1877,21 @@ chrome.runtime.onMessage.addListener((msg) => {
   if (msg.type === 'VIEWER_LINK_OPENED' || msg.type === 'VIEWER_LINK_ERROR') {
     clearItemLoading(msg.slideId);
     if (msg.type === 'VIEWER_LINK_ERROR') {
-      showDebugToast(`Erro ao abrir: ${msg.error}`);
+      showDebugToast(t('debugOpenError', msg.error));
+      notifyError(msg.code, 'slide', {
+        key: `viewer-link-${msg.slideId}`,
+        retry: () => requestViewerLink(msg.slideId, { externalCaseId: msg.externalCaseId, alongside: msg.alongside }),
+      });
+      if (msg.code === 'not-found') refreshAfterMissingSlide(msg.externalCaseId);
     }
   }
-});
+}
 
 // ============================================================================
 // State Management
 // ============================================================================
 
-function handleStatusUpdate(status) {
+function handleStatusUpdate(status, previous) {
   const hasReady = status.readySlides?.length > 0;
   const hasProcessing = status.processingSlides?.length > 0;
 
@@ -651,20 +1899,84 @@ function handleStatusUpdate(status) {
   if (hasReady || hasProcessing) {
     updateHandleState(status);
   }
-  if (drawerOpen) renderDrawerContent();
+
+  // A slide finished: poll eagerly again in case the rest follows soon
+  if (previous && (status.readySlides?.length || 0) > (previous.readySlides?.length || 0)) {
+    statusPollDelay = STATUS_POLL_MIN_MS;
+  }
+  scheduleStatusPoll();
+
+  // Skip re-rendering (and replaying row animations) when nothing changed
+  if (drawerOpen && !sameSlides(status, previous)) renderDrawerContent();
 }
 
+function sameSlides(a, b) {
+  if (!a || !b) return false;
+  const key = s => JSON.stringify([s.readySlides || [], s.processingSlides || []]);
+  return key(a) === key(b);
+}
+
+// ============================================================================
+// Status Polling
+// ============================================================================
+
+/**
+ * Re-request status while the current case has processing slides and the tab
+ * is visible. Each poll waits longer than the previous one, up to the ceiling.
+ */
+function scheduleStatusPoll() {
+  stopStatusPoll();
+  if (!currentCaseBase || document.hidden) return;
+  if (!currentStatus?.processingSlides?.length) {
+    statusPollDelay = STATUS_POLL_MIN_MS;
+    return;
+  }
+
+  const caseBase = currentCaseBase;
+  statusPollTimer = setTimeout(() => {
+    statusPollTimer = null;
+    if (caseBase !== currentCaseBase) return;
+    refreshStatus(caseBase);
+  }, statusPollDelay);
+  statusPollDelay = Math.min(statusPollDelay * STATUS_POLL_BACKOFF, STATUS_POLL_MAX_MS);
+}
+
+function stopStatusPoll() {
+  if (statusPollTimer) {
+    clearTimeout(statusPollTimer);
+    statusPollTimer = null;
+  }
+}
+
+function resetStatusPoll() {
+  statusPollDelay = STATUS_POLL_MIN_MS;
+  scheduleStatusPoll();
+}
+
+document.addEventListener('visibilitychange', () => {
+  if (document.hidden) stopStatusPoll();
+  else resetStatusPoll();
+});
+
 function onCaseChange(newCaseBase) {
   if (newCaseBase === currentCaseBase) return;
   currentCaseBase = newCaseBase;
   currentStatus = null;
   currentPatientData = null; // Reset stale patient data from previous case
+  priorCases = null;
+  selectedSlideIds.clear();
+  expandedSlideIds.clear();
+  slideFilter = '';
+  stopStatusPoll();
+  statusPollDelay = STATUS_POLL_MIN_MS;
   if (handleEl) {
     handleEl.classList.toggle('snavi-handle--active', !!currentCaseBase);
   }
   if (drawerOpen) renderDrawerContent();
   if (currentCaseBase && authInfo?.authenticated) {
     requestCaseStatus(currentCaseBase);
+  } else if (!currentCaseBase) {
+    requestBackground('CASE_CLEARED');
   }
   // Re-scrape patient data for the new case page
   if (currentCaseBase) {
@@ -676,10 +1988,21 @@ function onCaseChange(newCaseBase) {
 // Navigation Observer
 // ============================================================================
 
+/**
+ * Only react when detection itself changes, so a case chosen manually (search,
+ * list badge) is not overridden by the page on the next DOM mutation.
+ */
+function checkForCaseChange() {
+  const detected = detectCaseBase();
+  if (detected === lastDetectedCaseBase) return;
+  lastDetectedCaseBase = detected;
+  if (detected !== currentCaseBase) onCaseChange(detected);
+}
+
 function startObserver() {
   const observer = new MutationObserver(() => {
-    const detected = detectCaseBase();
-    if (detected !== currentCaseBase) onCaseChange(detected);
+    checkForCaseChange();
+    scheduleListScan();
   });
 
   observer.observe(document.body, {
@@ -688,36 +2011,242 @@ function startObserver() {
     characterData: true,
   });
 
-  setInterval(() => {
-    const detected = detectCaseBase();
-    if (detected !== currentCaseBase) onCaseChange(detected);
-  }, POLL_INTERVAL_MS);
+  setInterval(checkForCaseChange, POLL_INTERVAL_MS);
+}
+
+// ============================================================================
+// List Page Badges
+// ============================================================================
+
+function scheduleListScan() {
+  clearTimeout(listScanTimer);
+  listScanTimer = setTimeout(scanListPage, LIST_SCAN_DEBOUNCE_MS);
+}
+
+/**
+ * On worklist pages (more than one case number), add an inline badge next to
+ * every case number with its ready/processing slide counts. Statuses for all
+ * new cases are fetched in a single batched request.
+ */
+function scanListPage() {
+  if (!authInfo?.authenticated) return;
+
+  const cells = [];
+  const allCases = new Set();
+  for (const cell of document.querySelectorAll(activeAdapter.listSelector)) {
+    if (cell.closest('.snavi-drawer')) continue;
+    const found = Adapters.findAllCases(activeAdapter, cell.textContent);
+    if (found.size !== 1) continue;
+    const caseBase = [...found][0];
+    cells.push({ cell, caseBase });
+    allCases.add(caseBase);
+  }
+  if (allCases.size < 2) return;
+
+  for (const { cell, caseBase } of cells) {
+    if (cell.querySelector('.snavi-badge')) continue;
+    cell.appendChild(createBadge(caseBase));
+  }
+
+  // Failed cases wait for a retry: asking again on every DOM change would
+  // hammer a server that is already failing
+  const missing = [...allCases].filter(c => !listStatuses.has(c) && !listPending.has(c) && !listFailed.has(c));
+  if (missing.length) {
+    missing.forEach(c => listPending.add(c));
+    requestBackground('BATCH_CASE_STATUS', { caseBases: missing }).then((reply) => {
+      // No reply at all (stale script, timeout): the badges fail like an API error
+      if (reply) return;
+      handleBatchStatus({}, missing);
+      if (!extensionStale) notifyError(Protocol.PROTOCOL_ERROR.FAILED, 'list', { key: 'list-status', retry: retryListScan });
+    });
+  }
+}
+
+function retryListScan() {
+  listFailed.clear();
+  document.querySelectorAll('.snavi-badge[data-case-base]').forEach(renderBadge);
+  scanListPage();
+}
+
+function createBadge(caseBase) {
+  const badge = document.createElement('button');
+  badge.type = 'button';
+  badge.className = 'snavi-badge snavi-badge--loading';
+  badge.dataset.caseBase = caseBase;
+  badge.title = `SuperNavi: ${caseBase}`;
+  badge.addEventListener('click', (e) => {
+    // Keep the worklist row from handling the click (PathoWeb opens the case)
+    e.preventDefault();
+    e.stopPropagation();
+    onCaseChange(caseBase);
+    if (!drawerOpen) openDrawer();
+  });
+  renderBadge(badge);
+  return badge;
+}
+
+function renderBadge(badge) {
+  const { caseBase } = badge.dataset;
+  const status = listStatuses.get(caseBase);
+  if (!status) {
+    const failed = listFailed.has(caseBase);
+    badge.classList.toggle('snavi-badge--loading', !failed);
+    badge.classList.toggle('snavi-badge--error', failed);
+    badge.textContent = failed ? '!' : '';
+    badge.title = failed ? t('badgeError', caseBase) : `SuperNavi: ${caseBase}`;
+    return;
+  }
+
+  const ready = status.readySlides?.length || 0;
+  const processing = status.processingSlides?.length || 0;
+  badge.classList.remove('snavi-badge--loading', 'snavi-badge--error');
+  badge.classList.toggle('snavi-badge--empty', ready + processing === 0);
+  badge.innerHTML = `
+    ${ready ? `<span class="snavi-badge-ready">${ready}</span>` : ''}
+    ${processing ? `<span class="snavi-badge-processing">${processing}</span>` : ''}
+  `;
+  badge.title = t('badgeTitle', [plural('slidesReady', ready), plural('slidesProcessing', processing)]);
+}
+
+function handleBatchStatus(cases, requested) {
+  // Requested but not answered: show the failure instead of loading forever
+  for (const caseBase of requested) {
+    listPending.delete(caseBase);
+    if (!(caseBase in cases)) listFailed.add(caseBase);
+  }
+  for (const [caseBase, status] of Object.entries(cases)) {
+    listPending.delete(caseBase);
+    listFailed.delete(caseBase);
+    listStatuses.set(caseBase, status || {});
+  }
+  document.querySelectorAll('.snavi-badge[data-case-base]').forEach(renderBadge);
+  CaseHistory.updateCounts(activeAdapter.externalIdNamespace, cases);
 }
 
 // ============================================================================
 // Utility
 // ============================================================================
 
+/**
+ * Escape text for HTML content and quoted attribute values.
+ */
 function escapeHtml(str) {
   const div = document.createElement('div');
   div.textContent = str;
-  return div.innerHTML;
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * Lowercase without diacritics, so "lamina" finds "Lâmina".
+ */
+function normalizeForSearch(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function getSearchPlaceholder() {
+  const examples = activeAdapter.exampleCases || [];
+  if (!examples.length) return t('searchPlaceholder');
+  const list = new Intl.ListFormat(I18n.locale(), { type: 'disjunction' }).format(examples);
+  return t('searchPlaceholderExamples', list);
 }
 
 function getThumbUrl(path) {
   if (!path) return '';
   if (path.startsWith('http')) return path;
-  const base = configCache?.apiBaseUrl || 'https://cloud.supernavi.app';
+  // Thumbnails come from the active profile's server
+  const base = authInfo?.apiBaseUrl || 'https://cloud.supernavi.app';
   return `${base}${path}`;
 }
 
 function formatSlideLabel(slide) {
-  if (slide.label) return `Lâmina ${slide.label}`;
+  if (slide.label) return t('slideLabel', slide.label);
   if (slide.filename) {
     const dotIdx = slide.filename.lastIndexOf('.');
     return dotIdx > 0 ? slide.filename.substring(0, dotIdx) : slide.filename;
   }
-  return `Lâmina ${slide.index || '?'}`;
+  return t('slideLabel', slide.index || '?');
+}
+
+/**
+ * Processing progress as a 0–100 percentage, or null when the API sent none.
+ */
+function formatProgress(progress) {
+  if (typeof progress !== 'number' || Number.isNaN(progress)) return null;
+  return Math.max(0, Math.min(100, Math.round(progress)));
+}
+
+function formatEta(seconds) {
+  if (typeof seconds !== 'number' || seconds <= 0) return null;
+  if (seconds < 60) return t('etaUnderMinute');
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return t('etaMinutes', minutes);
+  return t('etaHours', [Math.floor(minutes / 60), String(minutes % 60).padStart(2, '0')]);
+}
+
+function formatProcessingLabel(slide) {
+  const progress = formatProgress(slide.progress);
+  const parts = [progress !== null ? t('processingProgress', progress) : t('processing')];
+  const eta = formatEta(slide.etaSeconds);
+  if (eta) parts.push(t('etaRemaining', eta));
+  return parts.join(' · ');
+}
+
+function formatNumber(value, maximumFractionDigits = 1) {
+  const n = Number(value);
+  if (Number.isNaN(n)) return String(value);
+  return n.toLocaleString(I18n.locale(), { maximumFractionDigits });
+}
+
+function formatFileSize(bytes) {
+  const n = Number(bytes);
+  if (Number.isNaN(n)) return String(bytes);
+  const units = ['byte', 'kilobyte', 'megabyte', 'gigabyte', 'terabyte'];
+  const exp = Math.min(units.length - 1, n > 0 ? Math.floor(Math.log(n) / Math.log(1024)) : 0);
+  return new Intl.NumberFormat(I18n.locale(), {
+    style: 'unit',
+    unit: units[exp],
+    unitDisplay: 'short',
+    maximumFractionDigits: exp > 1 ? 1 : 0,
+  }).format(n / 1024 ** exp);
+}
+
+function formatDate(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  // '2025-01-02' parses as UTC midnight; keep it from showing the day before
+  const timeZone = /^\d{4}-\d{2}-\d{2}$/.test(value) ? 'UTC' : undefined;
+  return date.toLocaleDateString(I18n.locale(), { dateStyle: 'short', timeZone });
+}
+
+function formatDateTime(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  return date.toLocaleString(I18n.locale(), { dateStyle: 'short', timeStyle: 'short' });
+}
+
+/**
+ * 'scanProfile' / 'scan_profile' → 'Scan profile', for metadata fields the
+ * extension has no label for.
+ */
+function humanizeField(field) {
+  const words = field.replace(/_/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase().trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * 'há 5 minutos', 'ontem'... in the UI language.
+ */
+function formatRelativeTime(timestamp) {
+  const seconds = Math.round((timestamp - Date.now()) / 1000);
+  const units = [['day', 86_400], ['hour', 3_600], ['minute', 60]];
+  const [unit, size] = units.find(([, size]) => Math.abs(seconds) >= size) || ['second', 1];
+  return new Intl.RelativeTimeFormat(I18n.locale(), { numeric: 'auto' })
+    .format(unit === 'second' ? 0 : Math.round(seconds / size), unit);
+}
+
+function formatTime(timestamp) {
+  if (!timestamp) return '';
+  return new Date(timestamp).toLocaleTimeString(I18n.locale(), { hour: '2-digit', minute: '2-digit' });
 }
 
 function formatDimensions(w, h) {
@@ -731,20 +2260,28 @@ function formatDimensions(w, h) {
 // ============================================================================
 
 async function init() {
-  await getConfig();
+  activeAdapter = await resolveAdapter();
+  if (!activeAdapter) return;
+
+  await Promise.all([getConfig(), I18n.ready(), loadLogo(), loadDrawerPrefs(), loadCaseHistory(), loadWatchedCases()]);
+  I18n.onChange(() => {
+    if (drawerOpen) renderDrawerContent();
+    if (currentStatus) updateHandleState(currentStatus);
+    document.querySelectorAll('.snavi-badge[data-case-base]').forEach(renderBadge);
+  });
+  CaseHistory.onChange(() => loadCaseHistory().then(renderCaseHistory));
+  WatchList.onChange(() => loadWatchedCases().then(syncWatchButton));
 
   // Always show handle so user can open drawer (even if not authenticated)
   createHandle();
   requestAuthInfo();
 
   const detected = detectCaseBase();
+  lastDetectedCaseBase = detected;
   if (detected) {
     currentCaseBase = detected;
     if (handleEl) handleEl.classList.add('snavi-handle--active');
-    const cfg = await getConfig();
-    if (cfg.deviceToken || cfg.apiKey) {
-      requestCaseStatus(detected);
-    }
+    // The status is requested once AUTH_INFO confirms the credentials
   }
 
   scrapePatientDataWithRetry();
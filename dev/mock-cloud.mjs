@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+/**
+ * SuperNavi Bridge Extension - Mock Cloud (development only)
+ *
+ * A stand-in for the parts of the cloud API that push updates touch, to check
+ * the extension against events on demand. No dependencies beyond Node 18+.
+ *
+ *   node dev/mock-cloud.mjs [port]        (default 8787)
+ *
+ * Point a connection profile at http://localhost:8787 with any API key
+ * (Options → Advanced). Then, from another terminal:
+ *
+ *   # Set a case's status; tabs showing it update through a case-status event
+ *   curl -X POST localhost:8787/mock/cases/AP26000230 \
+ *        -d '{"readySlides":[{"slideId":"s1","label":"A1"}],"processingSlides":[]}'
+ *
+ *   # Send any event as is
+ *   curl -X POST localhost:8787/mock/emit -d '{"type":"slides-matched","data":{"caseBase":"AP26000230"}}'
+ *   curl -X POST localhost:8787/mock/emit -d '{"type":"device-revoked","data":{}}'
+ *
+ *   # Drop every open stream, to watch the extension reconnect
+ *   curl -X POST localhost:8787/mock/disconnect
+ *
+ * The last 100 events are kept and replayed after the Last-Event-ID a
+ * reconnecting client sends.
+ *
+ * The automated tests (dev/push.test.mjs) start it with startMockCloud().
+ */
+
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+
+const PING_MS = 15_000;
+const REPLAY_LIMIT = 100;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Last-Event-ID, x-device-token, x-supernavi-key',
+  'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+};
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+async function readJson(req) {
+  let text = '';
+  for await (const chunk of req) text += chunk;
+  return text ? JSON.parse(text) : {};
+}
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+/**
+ * Start the mock on `port` (0 picks a free one). Resolves with its URL and
+ * what tests drive it through: emit(), disconnect(), close(), and
+ * `connections`, the request headers of every stream opened so far.
+ */
+export function startMockCloud({ port = 8787, quiet = false } = {}) {
+  const clients = new Set();
+  const statuses = new Map();
+  const history = [];
+  const connections = [];
+  let nextEventId = 1;
+  const print = quiet ? () => {} : console.log;
+
+  function emit(type, data) {
+    const event = { id: String(nextEventId++), type, data };
+    history.push(event);
+    if (history.length > REPLAY_LIMIT) history.shift();
+    for (const res of clients) writeEvent(res, event);
+    print(`→ ${type} #${event.id} to ${clients.size} client(s)`, JSON.stringify(data));
+    return event;
+  }
+
+  function disconnect() {
+    const count = clients.size;
+    for (const client of clients) client.destroy();
+    return count;
+  }
+
+  function openStream(req, res) {
+    if (!req.headers['x-device-token'] && !req.headers['x-supernavi-key']) {
+      sendJson(res, 401, { error: 'unauthorized' });
+      return;
+    }
+    connections.push(req.headers);
+    res.writeHead(200, {
+      ...CORS_HEADERS,
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.write(': connected\n\n');
+
+    const lastId = Number(req.headers['last-event-id']);
+    if (lastId) history.filter(e => Number(e.id) > lastId).forEach(e => writeEvent(res, e));
+
+    clients.add(res);
+    const ping = setInterval(() => res.write(': ping\n\n'), PING_MS);
+    print(`+ stream opened (${clients.size} open)${lastId ? `, resuming after #${lastId}` : ''}`);
+    req.on('close', () => {
+      clearInterval(ping);
+      clients.delete(res);
+      print(`- stream closed (${clients.size} open)`);
+    });
+  }
+
+  const server = createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (req.method === 'OPTIONS') return sendJson(res, 204);
+
+    try {
+      if (req.method === 'GET' && pathname === '/api/ui-bridge/events') return openStream(req, res);
+
+      if (req.method === 'GET' && pathname === '/api/ui-bridge/me') {
+        return sendJson(res, 200, { authenticated: true, user: { name: 'Mock User' }, device: { name: 'Mock device' } });
+      }
+
+      const status = pathname.match(/^\/api\/ui-bridge\/cases\/([^/]+)\/status$/);
+      if (req.method === 'GET' && status) {
+        const caseBase = decodeURIComponent(status[1]).toUpperCase();
+        return sendJson(res, 200, statuses.get(caseBase) || { caseBase, readySlides: [], processingSlides: [] });
+      }
+
+      const mockCase = pathname.match(/^\/mock\/cases\/([^/]+)$/);
+      if (req.method === 'POST' && mockCase) {
+        const caseBase = decodeURIComponent(mockCase[1]).toUpperCase();
+        const body = await readJson(req);
+        const next = { caseBase, readySlides: body.readySlides || [], processingSlides: body.processingSlides || [] };
+        statuses.set(caseBase, next);
+        return sendJson(res, 200, emit('case-status', { caseBase, status: next }));
+      }
+
+      if (req.method === 'POST' && pathname === '/mock/emit') {
+        const { type, data = {} } = await readJson(req);
+        if (!type) return sendJson(res, 400, { error: 'type is required' });
+        return sendJson(res, 200, emit(type, data));
+      }
+
+      if (req.method === 'POST' && pathname === '/mock/disconnect') {
+        return sendJson(res, 200, { disconnected: disconnect() });
+      }
+
+      // Everything else the extension asks for (policy, search, …) doesn't exist here
+      sendJson(res, 404, { error: 'not found' });
+    } catch (err) {
+      sendJson(res, 400, { error: err.message });
+    }
+  });
+
+  return new Promise(resolve => {
+    server.listen(port, () => {
+      const url = `http://localhost:${server.address().port}`;
+      print(`Mock cloud on ${url}`);
+      resolve({
+        url,
+        emit,
+        disconnect,
+        connections,
+        close: () => new Promise(done => {
+          disconnect();
+          server.close(done);
+          server.closeAllConnections();
+        }),
+      });
+    });
+  });
+}
+
+// Run directly: node dev/mock-cloud.mjs [port]
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  startMockCloud({ port: Number(process.argv[2]) || 8787 });
+}
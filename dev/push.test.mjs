@@ -0,0 +1,268 @@
+/**
+ * SuperNavi Bridge Extension - Push tests (development only)
+ *
+ * Drives push-client.js and the service worker's push section against the
+ * mock cloud. The extension scripts are classic scripts for the browser, so
+ * they run here in a vm context with just enough of the chrome.* API faked.
+ *
+ *   node --test dev/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+import { startMockCloud } from './mock-cloud.mjs';
+
+const ROOT = new URL('../', import.meta.url);
+
+function runScripts(context, files) {
+  for (const file of files) {
+    vm.runInContext(readFileSync(new URL(file, ROOT), 'utf8'), context, { filename: file });
+  }
+}
+
+// vm objects have their own prototypes; compare them as plain data
+const plain = value => JSON.parse(JSON.stringify(value));
+
+async function until(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+function pushClientContext() {
+  const context = vm.createContext({ fetch, TextDecoderStream, AbortController, setTimeout, clearTimeout, console });
+  runScripts(context, ['api-client.js', 'push-client.js']);
+  return context;
+}
+
+test('createSseParser dispatches complete events across chunk and line-ending splits', () => {
+  const createSseParser = vm.runInContext('createSseParser', pushClientContext());
+  const events = [];
+  const feed = createSseParser(event => events.push(event));
+
+  feed(': ping\n\nid: 1\nevent: case-status\ndata: {"a"');
+  feed(':1}\r');
+  feed('\n\r\ndata: line1\ndata: line2\n\n');
+  feed('event: unfinished\n');
+
+  assert.deepEqual(plain(events), [
+    { type: 'case-status', data: '{"a":1}', id: '1' },
+    { type: 'message', data: 'line1\nline2', id: '1' },
+  ]);
+});
+
+test('openEventStream replays the events after Last-Event-ID', async (t) => {
+  const mock = await startMockCloud({ port: 0, quiet: true });
+  t.after(() => mock.close());
+  const openEventStream = vm.runInContext('openEventStream', pushClientContext());
+
+  const read = (lastEventId, count, onOpen) => new Promise((resolve, reject) => {
+    const controller = new AbortController();
+    const events = [];
+    openEventStream(`${mock.url}/api/ui-bridge/events`, {
+      headers: { 'x-device-token': 'tok' },
+      lastEventId,
+      signal: controller.signal,
+      onOpen,
+      onEvent: event => {
+        events.push(event);
+        if (events.length === count) {
+          controller.abort();
+          resolve(events);
+        }
+      },
+    }).catch(reject);
+  });
+
+  const first = await read(null, 2, () => {
+    mock.emit('case-status', { caseBase: 'AP1' });
+    mock.emit('slides-matched', { caseBase: 'AP2' });
+  });
+  assert.deepEqual(first.map(e => e.id), ['1', '2']);
+
+  // Missed while disconnected
+  mock.emit('slides-matched', { caseBase: 'AP3' });
+
+  const resumed = await read(first.at(-1).id, 1);
+  assert.equal(mock.connections[1]['last-event-id'], '2');
+  assert.deepEqual(plain(resumed), [{ type: 'slides-matched', data: '{"caseBase":"AP3"}', id: '3' }]);
+});
+
+test('openEventStream rejects refused streams with typed ApiErrors', async (t) => {
+  const mock = await startMockCloud({ port: 0, quiet: true });
+  t.after(() => mock.close());
+  const openEventStream = vm.runInContext('openEventStream', pushClientContext());
+  const onEvent = () => {};
+
+  await assert.rejects(openEventStream(`${mock.url}/api/ui-bridge/events`, { onEvent }), { code: 'unauthorized' });
+  await assert.rejects(
+    openEventStream(`${mock.url}/api/ui-bridge/missing`, { headers: { 'x-device-token': 'tok' }, onEvent }),
+    { code: 'not-found' },
+  );
+});
+
+/**
+ * A chrome.* fake for background.js: real storage areas (with onChanged),
+ * recorded tab messages and alarms, and a no-op stub for everything else.
+ */
+function fakeChrome({ local = {}, session = {} }) {
+  const storageListeners = [];
+  const tabMessages = [];
+  const alarms = new Map();
+
+  const area = (name, data) => ({
+    get: async (keys) => {
+      if (keys == null) return { ...data };
+      if (typeof keys === 'string') keys = [keys];
+      if (Array.isArray(keys)) return Object.fromEntries(keys.filter(k => k in data).map(k => [k, data[k]]));
+      return Object.fromEntries(Object.entries(keys).map(([k, fallback]) => [k, k in data ? data[k] : fallback]));
+    },
+    set: async (items) => {
+      const changes = {};
+      for (const [k, newValue] of Object.entries(items)) {
+        changes[k] = { oldValue: data[k], newValue };
+        data[k] = newValue;
+      }
+      setTimeout(() => storageListeners.forEach(listener => listener(changes, name)));
+    },
+    remove: async (keys) => {
+      for (const k of [].concat(keys)) delete data[k];
+    },
+  });
+
+  const stub = () => new Proxy(() => Promise.resolve(), {
+    get: (target, prop) => (prop === 'then' ? undefined : stub()),
+  });
+  const event = () => ({ addListener: () => {}, removeListener: () => {} });
+
+  const chrome = {
+    storage: {
+      local: area('local', local),
+      session: area('session', session),
+      sync: area('sync', {}),
+      onChanged: { addListener: listener => storageListeners.push(listener) },
+    },
+    runtime: {
+      id: 'test',
+      getManifest: () => JSON.parse(readFileSync(new URL('manifest.json', ROOT), 'utf8')),
+      getURL: path => `chrome-extension://test/${path}`,
+      getPlatformInfo: async () => ({}),
+      sendMessage: async () => {},
+      onMessage: event(),
+      onInstalled: event(),
+      onStartup: event(),
+    },
+    i18n: {
+      getMessage: key => (key === 'localeCode' ? 'pt-BR' : key),
+      getUILanguage: () => 'pt-BR',
+    },
+    tabs: {
+      sendMessage: async (tabId, message) => { tabMessages.push({ tabId, message }); },
+      query: async () => [],
+      onUpdated: event(),
+      onRemoved: event(),
+      onActivated: event(),
+    },
+    alarms: {
+      create: async (name, info) => { alarms.set(name, info); },
+      clear: async (name) => alarms.delete(name),
+      get: async (name) => alarms.get(name),
+      onAlarm: event(),
+    },
+  };
+  return {
+    chrome: new Proxy(chrome, { get: (target, prop) => target[prop] ?? stub() }),
+    tabMessages,
+    alarms,
+  };
+}
+
+function loadBackground(storage) {
+  const fake = fakeChrome(storage);
+  const context = vm.createContext({
+    chrome: fake.chrome,
+    fetch,
+    TextDecoderStream,
+    TextEncoder,
+    AbortController,
+    URL,
+    URLSearchParams,
+    Intl,
+    crypto,
+    console,
+    navigator: { language: 'pt-BR' },
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+  });
+  context.globalThis = context;
+  context.self = context;
+  context.importScripts = (...files) => runScripts(context, files);
+  runScripts(context, ['background.js']);
+  return { ...fake, run: code => vm.runInContext(code, context) };
+}
+
+test('the service worker fans case updates out to tabs and reconnects with Last-Event-ID', async (t) => {
+  const mock = await startMockCloud({ port: 0, quiet: true });
+  const sw = loadBackground({
+    local: {
+      profiles: [{ id: 'p1', name: '', apiBaseUrl: mock.url, deviceToken: 'tok', deviceId: 'd1', deviceName: 'PC', apiKey: '' }],
+      activeProfileId: 'p1',
+    },
+    session: { tabCases: { 7: 'AP1', 8: 'AP2' } },
+  });
+  t.after(async () => {
+    sw.run('stopPushStream()');
+    await mock.close();
+  });
+
+  await until(() => mock.connections.length === 1);
+  assert.equal(mock.connections[0]['x-device-token'], 'tok');
+
+  mock.emit('case-status', { caseBase: 'ap1', status: { readySlides: [{ slideId: 's1' }], processingSlides: [] } });
+  await until(() => sw.tabMessages.length > 0);
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.deepEqual(sw.tabMessages.map(m => [m.tabId, m.message.type, m.message.caseBase]), [[7, 'CASE_STATUS', 'AP1']]);
+  assert.deepEqual(plain(sw.tabMessages[0].message.readySlides), [{ slideId: 's1' }]);
+
+  // Dropped by the server: back after the first backoff step, resuming after the last event
+  const droppedAt = Date.now();
+  mock.disconnect();
+  await until(() => mock.connections.length === 2, 5000);
+  assert.ok(Date.now() - droppedAt >= 900, 'reconnects after a backoff delay');
+  assert.equal(mock.connections[1]['last-event-id'], '1');
+});
+
+test('the service worker stops asking a server without the events endpoint', async (t) => {
+  const mock = await startMockCloud({ port: 0, quiet: true });
+  const session = { tabCases: { 7: 'AP1' } };
+  const sw = loadBackground({
+    local: {
+      // Mounted under a path the mock doesn't serve: every stream request is a 404
+      profiles: [{ id: 'p1', name: '', apiBaseUrl: `${mock.url}/nowhere`, deviceToken: 'tok', deviceId: 'd1', deviceName: 'PC', apiKey: '' }],
+      activeProfileId: 'p1',
+    },
+    session,
+  });
+  t.after(async () => {
+    sw.run('stopPushStream()');
+    await mock.close();
+  });
+
+  await until(() => session.pushUnsupported);
+  assert.equal(session.pushUnsupported.profileId, 'p1');
+  // The every-minute watchdog gives way to a single wake-up an hour later
+  const alarm = sw.alarms.get('push-watchdog');
+  assert.equal(alarm.periodInMinutes, undefined);
+  assert.ok(alarm.when - Date.now() > 59 * 60 * 1000);
+
+  // A restarted worker keeps waiting instead of asking again
+  const restarted = loadBackground({ local: { profiles: [{ id: 'p1', name: '', apiBaseUrl: `${mock.url}/nowhere`, deviceToken: 'tok', apiKey: '' }], activeProfileId: 'p1' }, session });
+  await new Promise(resolve => setTimeout(resolve, 300));
+  assert.equal(restarted.run('pushStream'), null);
+});
@@ -0,0 +1,156 @@
+/**
+ * SuperNavi Bridge Extension - Internationalization
+ *
+ * Thin layer over chrome.i18n. Catalogs live in _locales/<lang>/messages.json.
+ * chrome.i18n always follows the browser language, so when the user picks
+ * another one in the options page (uiLanguage in chrome.storage.sync) that
+ * catalog is fetched and looked up here instead, falling back to chrome.i18n
+ * for anything it lacks. The catalogs are not web accessible: content
+ * scripts get them from the service worker (GET_MESSAGES), so web pages can
+ * neither read them nor use them to detect the extension.
+ *
+ * Shared by the service worker, content scripts and extension pages. Loaded
+ * as a classic script and guarded like adapters.js.
+ */
+
+(() => {
+  if (globalThis.SuperNaviI18n) return;
+
+  const SUPPORTED_LANGUAGES = ['pt_BR', 'en', 'es'];
+
+  let override = null; // { lang, messages } while uiLanguage is set
+  let loading = null;
+  const listeners = [];
+
+  /**
+   * The messages.json of a supported language, read from the extension
+   * package. Only works in the service worker and extension pages.
+   */
+  async function loadCatalog(lang) {
+    if (!SUPPORTED_LANGUAGES.includes(lang)) throw new Error(`Unsupported language: ${lang}`);
+    const response = await fetch(chrome.runtime.getURL(`_locales/${lang}/messages.json`));
+    return response.json();
+  }
+
+  // Content scripts run on the page's origin, where the package can't be read
+  const inExtensionOrigin = () => globalThis.location?.origin === new URL(chrome.runtime.getURL('')).origin;
+
+  async function applyLanguage(uiLanguage) {
+    if (!SUPPORTED_LANGUAGES.includes(uiLanguage)) {
+      override = null;
+      return;
+    }
+    try {
+      const messages = inExtensionOrigin()
+        ? await loadCatalog(uiLanguage)
+        : (await globalThis.SuperNaviProtocol.request('GET_MESSAGES', { lang: uiLanguage })).messages;
+      override = { lang: uiLanguage, messages };
+    } catch (err) {
+      console.warn('[SuperNavi] Could not load language', uiLanguage, err.message);
+      override = null;
+    }
+  }
+
+  /**
+   * Resolves once the user's language choice is loaded. Await it before the
+   * first t() of a page; without it strings follow the browser language.
+   */
+  function ready() {
+    loading ||= chrome.storage.sync.get({ uiLanguage: '' })
+      .then(({ uiLanguage }) => applyLanguage(uiLanguage));
+    return loading;
+  }
+
+  /**
+   * Run `listener` after the language is switched in the options page.
+   */
+  function onChange(listener) {
+    listeners.push(listener);
+  }
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'sync' || !changes.uiLanguage) return;
+    loading = applyLanguage(changes.uiLanguage.newValue || '');
+    loading.then(() => listeners.forEach(fn => fn()));
+  });
+
+  // ==========================================================================
+  // Lookup
+  // ==========================================================================
+
+  function toSubstitutions(substitutions) {
+    if (substitutions === undefined || substitutions === null) return [];
+    return [].concat(substitutions).map(String);
+  }
+
+  /**
+   * Same substitution rules as chrome.i18n: named $PLACEHOLDER$s expand to
+   * their content, then $1..$9 take the substitutions and $$ is a literal $.
+   */
+  function format(entry, substitutions) {
+    let text = entry.message;
+    for (const [name, placeholder] of Object.entries(entry.placeholders || {})) {
+      text = text.replace(new RegExp(`\\$${name}\\$`, 'gi'), placeholder.content);
+    }
+    const subs = toSubstitutions(substitutions);
+    return text.replace(/\$(\$|[1-9])/g, (_, n) => (n === '$' ? '$' : subs[n - 1] ?? ''));
+  }
+
+  function lookup(key, substitutions) {
+    const entry = override?.messages[key];
+    if (entry) return format(entry, substitutions);
+    return chrome.i18n.getMessage(key, toSubstitutions(substitutions));
+  }
+
+  /**
+   * Translated message for `key`. Missing keys come back as the key itself so
+   * they stand out instead of rendering blank.
+   */
+  function t(key, substitutions) {
+    return lookup(key, substitutions) || key;
+  }
+
+  /**
+   * BCP 47 tag of the catalog in use ('pt-BR', 'en', 'es'), for Intl APIs.
+   */
+  function locale() {
+    return lookup('localeCode') || 'pt-BR';
+  }
+
+  /**
+   * Pluralized message: looks up `${key}_${category}` for the CLDR plural
+   * category of `count` (one, other, ...), falling back to `${key}_other`.
+   * The count is $1 unless other substitutions are given.
+   */
+  function plural(key, count, substitutions = [count]) {
+    const category = new Intl.PluralRules(locale()).select(count);
+    return lookup(`${key}_${category}`, substitutions) || t(`${key}_other`, substitutions);
+  }
+
+  /**
+   * Translate static markup: data-i18n sets the text, data-i18n-placeholder,
+   * data-i18n-title and data-i18n-aria-label set those attributes.
+   */
+  function applyToDocument(root = document) {
+    for (const el of root.querySelectorAll('[data-i18n]')) {
+      el.textContent = t(el.dataset.i18n);
+    }
+    for (const attr of ['placeholder', 'title', 'aria-label']) {
+      for (const el of root.querySelectorAll(`[data-i18n-${attr}]`)) {
+        el.setAttribute(attr, t(el.getAttribute(`data-i18n-${attr}`)));
+      }
+    }
+    if (root === document) document.documentElement.lang = locale();
+  }
+
+  globalThis.SuperNaviI18n = {
+    SUPPORTED_LANGUAGES,
+    loadCatalog,
+    ready,
+    onChange,
+    t,
+    plural,
+    locale,
+    applyToDocument,
+  };
+})();
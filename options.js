@@ -2,6 +2,19 @@
  * SuperNavi PathoWeb Extension - Options Page
  */
 
+const { t, plural } = SuperNaviI18n;
+const Profiles = SuperNaviProfiles;
+const Phi = SuperNaviPhiPolicy;
+const ActivityLog = SuperNaviActivityLog;
+const WatchList = SuperNaviWatchList;
+const Protocol = SuperNaviProtocol;
+
+// Profile fields
+const profileSelect = document.getElementById('profileSelect');
+const profileNameInput = document.getElementById('profileName');
+const profileNewBtn = document.getElementById('profileNewBtn');
+const profileRemoveBtn = document.getElementById('profileRemoveBtn');
+
 // Legacy fields
 const apiBaseUrlInput = document.getElementById('apiBaseUrl');
 const apiKeyInput = document.getElementById('apiKey');
@@ -15,8 +28,69 @@ const pairedNameEl = document.getElementById('pairedName');
 const pairingFormEl = document.getElementById('pairingForm');
 const unpairSectionEl = document.getElementById('unpairSection');
 const unpairBtn = document.getElementById('unpairBtn');
+const deviceListEl = document.getElementById('deviceList');
+const devicesStatusEl = document.getElementById('devicesStatus');
+
+// Custom site fields
+const customSiteListEl = document.getElementById('customSiteList');
+const customSiteEditorEl = document.getElementById('customSiteEditor');
+const customSiteEditorTitleEl = document.getElementById('customSiteEditorTitle');
+const siteNameInput = document.getElementById('siteName');
+const siteHostPatternInput = document.getElementById('siteHostPattern');
+const siteSelectorsInput = document.getElementById('siteSelectors');
+const siteCasePatternInput = document.getElementById('siteCasePattern');
+const sitePrefixMapInput = document.getElementById('sitePrefixMap');
+const sitePatientFieldsInput = document.getElementById('sitePatientFields');
+const siteNamespaceInput = document.getElementById('siteNamespace');
+const siteNewBtn = document.getElementById('siteNewBtn');
+const siteTestBtn = document.getElementById('siteTestBtn');
+const siteSaveBtn = document.getElementById('siteSaveBtn');
+const sitePreviewEl = document.getElementById('sitePreview');
+
+// Shortcut fields
+const shortcutListEl = document.getElementById('shortcutList');
+const shortcutsBtn = document.getElementById('shortcutsBtn');
+
+// Viewer fields
+const viewerTargetSelect = document.getElementById('viewerTarget');
+const viewerDisplayField = document.getElementById('viewerDisplayField');
+const viewerDisplaySelect = document.getElementById('viewerDisplay');
+const viewerResetBtn = document.getElementById('viewerResetBtn');
+
+// Case history fields
+const caseHistoryLimitSelect = document.getElementById('caseHistoryLimit');
+const historyClearBtn = document.getElementById('historyClearBtn');
+const historyCountEl = document.getElementById('historyCount');
+
+// Watched cases
+const watchListEl = document.getElementById('watchList');
+const watchEmptyEl = document.getElementById('watchEmpty');
+
+// Patient data (PHI)
+const consentCardEl = document.getElementById('consentCard');
+const consentFieldListEl = document.getElementById('consentFieldList');
+const consentAcceptBtn = document.getElementById('consentAcceptBtn');
+const consentDeclineBtn = document.getElementById('consentDeclineBtn');
+const phiConsentStatusEl = document.getElementById('phiConsentStatus');
+const phiConsentReviewBtn = document.getElementById('phiConsentReviewBtn');
+const phiFieldListEl = document.getElementById('phiFieldList');
+const phiOrgHintEl = document.getElementById('phiOrgHint');
+const phiAuditListEl = document.getElementById('phiAuditList');
+const phiAuditCountEl = document.getElementById('phiAuditCount');
+const phiAuditClearBtn = document.getElementById('phiAuditClearBtn');
+
+// Activity log
+const activityFromInput = document.getElementById('activityFrom');
+const activityToInput = document.getElementById('activityTo');
+const activityCaseInput = document.getElementById('activityCase');
+const activityListEl = document.getElementById('activityList');
+const activityCountEl = document.getElementById('activityCount');
+const activityCsvBtn = document.getElementById('activityCsvBtn');
+const activityJsonBtn = document.getElementById('activityJsonBtn');
+const activityRetentionSelect = document.getElementById('activityRetention');
 
 // Settings fields
+const uiLanguageSelect = document.getElementById('uiLanguage');
 const debugInput = document.getElementById('debug');
 const saveBtn = document.getElementById('saveBtn');
 const testBtn = document.getElementById('testBtn');
@@ -24,32 +98,117 @@ const statusEl = document.getElementById('status');
 
 // Load saved settings
 chrome.storage.sync.get({
-  apiBaseUrl: 'https://cloud.supernavi.app',
-  apiKey: '',
-  deviceToken: '',
-  deviceId: '',
-  deviceName: '',
   debug: false,
+  uiLanguage: '',
 }, (items) => {
-  apiBaseUrlInput.value = items.apiBaseUrl;
-  apiKeyInput.value = items.apiKey;
-  pairServerUrlInput.value = items.apiBaseUrl;
   debugInput.checked = items.debug;
+  uiLanguageSelect.value = items.uiLanguage;
+});
+
+let pairedDeviceName = null;
+let activeProfile = null;
+
+// ============================================================================
+// Connection profiles
+// ============================================================================
+
+/**
+ * Profile list and the active profile's name and pairing state. Re-run on
+ * every change, including pairings made from the drawer.
+ */
+async function renderProfiles() {
+  const profiles = await Profiles.getProfiles();
+  activeProfile = await Profiles.getActiveProfile();
 
-  // Show paired status if device is paired
-  if (items.deviceToken && items.deviceId) {
-    showPairedState(items.deviceName || 'Dispositivo pareado');
+  profileSelect.replaceChildren(...profiles.map(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    const label = Profiles.profileLabel(profile);
+    option.textContent = Profiles.isConfigured(profile) ? label : t('profileNotPaired', label);
+    option.selected = profile.id === activeProfile.id;
+    return option;
+  }));
+  if (document.activeElement !== profileNameInput) profileNameInput.value = activeProfile.name;
+  profileRemoveBtn.disabled = profiles.length < 2;
+
+  if (activeProfile.deviceToken && activeProfile.deviceId) {
+    showPairedState(activeProfile.deviceName);
+    loadDevices();
+  } else {
+    showUnpairedState();
   }
+}
+
+/**
+ * Server URL and legacy key inputs; only filled on load and profile switch,
+ * so edits in progress survive other changes.
+ */
+function fillProfileFields() {
+  apiBaseUrlInput.value = activeProfile.apiBaseUrl;
+  apiKeyInput.value = activeProfile.apiKey;
+  pairServerUrlInput.value = activeProfile.apiBaseUrl;
+}
+
+/**
+ * Open tabs follow the active profile's pairing and server.
+ */
+function notifyProfileChanged() {
+  Protocol.send('PROFILE_CHANGED');
+}
+
+profileSelect.addEventListener('change', async () => {
+  const result = await Protocol.ask('SWITCH_PROFILE', { profileId: profileSelect.value });
+  await renderProfiles();
+  fillProfileFields();
+  pairCodeInput.value = '';
+  if (!result.success) {
+    showStatus(t('errorUnexpected'), 'error');
+    return;
+  }
+  showStatus(t('optProfileSwitched', Profiles.profileLabel(activeProfile)), 'success');
+});
+
+profileNameInput.addEventListener('change', async () => {
+  await Profiles.updateProfile(activeProfile.id, { name: profileNameInput.value.trim() });
+  notifyProfileChanged();
+  showStatus(t('optProfileSaved'), 'success');
+});
+
+profileNewBtn.addEventListener('click', async () => {
+  const profiles = await Profiles.getProfiles();
+  await Profiles.createProfile({ name: t('optProfileNewName', profiles.length + 1) });
+  notifyProfileChanged();
+  await renderProfiles();
+  fillProfileFields();
+  pairCodeInput.value = '';
+  pairServerUrlInput.focus();
+  showStatus(t('optProfileCreated'), 'success');
+});
+
+profileRemoveBtn.addEventListener('click', async () => {
+  if (!confirm(t('optProfileRemoveConfirm', Profiles.profileLabel(activeProfile)))) return;
+  await Profiles.removeProfile(activeProfile.id);
+  notifyProfileChanged();
+  await renderProfiles();
+  fillProfileFields();
+  showStatus(t('optProfileRemoved'), 'success');
 });
 
+Profiles.onChange(renderProfiles);
+
+// Credentials of older versions are still in sync until the service worker moves them
+Profiles.migrateFromSync().then(renderProfiles).then(fillProfileFields);
+
 function showPairedState(name) {
+  pairedDeviceName = name;
   pairedStatusEl.style.display = 'flex';
-  pairedNameEl.textContent = `Pareado como ${name}`;
+  pairedNameEl.textContent = t('optPairedAs', name || t('optDevicePaired'));
   pairingFormEl.style.display = 'none';
   unpairSectionEl.style.display = 'block';
 }
 
 function showUnpairedState() {
+  pairedDeviceName = null;
   pairedStatusEl.style.display = 'none';
   pairingFormEl.style.display = 'block';
   unpairSectionEl.style.display = 'none';
@@ -61,18 +220,18 @@ pairBtn.addEventListener('click', async () => {
   const code = pairCodeInput.value.trim().toUpperCase();
 
   if (!serverUrl) {
-    showStatus('Insira a URL do servidor', 'error');
+    showStatus(t('optEnterServerUrl'), 'error');
     return;
   }
 
   if (!code || code.length !== 6) {
-    showStatus('Insira o codigo de 6 caracteres', 'error');
+    showStatus(t('optEnterPairCode'), 'error');
     return;
   }
 
   pairBtn.disabled = true;
-  pairBtn.textContent = 'Pareando...';
-  showStatus('Conectando ao servidor...', '');
+  pairBtn.textContent = t('optPairing');
+  showStatus(t('optConnectingServer'), '');
 
   try {
     const response = await fetch(`${serverUrl}/api/ui-bridge/pairing/claim`, {
@@ -82,96 +241,156 @@ pairBtn.addEventListener('click', async () => {
     });
 
     if (response.status === 404) {
-      showStatus('Codigo invalido', 'error');
+      showStatus(t('pairInvalidCode'), 'error');
       return;
     }
 
     if (response.status === 410) {
-      showStatus('Codigo expirado ou ja utilizado', 'error');
+      showStatus(t('pairCodeExpired'), 'error');
       return;
     }
 
     if (response.status === 429) {
-      showStatus('Muitas tentativas. Aguarde 1 minuto.', 'error');
+      showStatus(t('pairTooManyAttempts'), 'error');
       return;
     }
 
     if (!response.ok) {
       const text = await response.text().catch(() => '');
-      showStatus(`Erro ${response.status}: ${text}`, 'error');
+      showStatus(t('optHttpError', [response.status, text]), 'error');
       return;
     }
 
     const data = await response.json();
 
-    // Save pairing data + server URL
-    chrome.storage.sync.set({
+    // Save pairing data + server URL in the active profile
+    await Profiles.updateProfile(activeProfile.id, {
       apiBaseUrl: serverUrl,
       deviceToken: data.deviceToken,
       deviceId: data.deviceId,
       deviceName: data.deviceName,
-    }, () => {
-      showStatus('Pareado com sucesso!', 'success');
-      showPairedState(data.deviceName);
-      // Also update legacy URL field
-      apiBaseUrlInput.value = serverUrl;
     });
+    notifyProfileChanged();
+    showStatus(t('optPairSuccess'), 'success');
+    showPairedState(data.deviceName);
+    // Also update legacy URL field
+    apiBaseUrlInput.value = serverUrl;
   } catch (err) {
-    showStatus('Nao foi possivel conectar ao servidor', 'error');
+    showStatus(t('optCannotConnect'), 'error');
   } finally {
     pairBtn.disabled = false;
-    pairBtn.textContent = 'Parear';
+    pairBtn.textContent = t('optPair');
   }
 });
 
-// Unpair button
-unpairBtn.addEventListener('click', () => {
-  chrome.storage.sync.set({
-    deviceToken: '',
-    deviceId: '',
-    deviceName: '',
-  }, () => {
-    showUnpairedState();
-    pairCodeInput.value = '';
-    showStatus('Dispositivo desconectado', 'success');
-  });
+// Unpair button: revoked on the server too, and every tab is told
+unpairBtn.addEventListener('click', async () => {
+  unpairBtn.disabled = true;
+  const result = await Protocol.ask('LOGOUT');
+  unpairBtn.disabled = false;
+  if (!result.success) {
+    showStatus(t('optUnpairError'), 'error');
+    return;
+  }
+  showUnpairedState();
+  pairCodeInput.value = '';
+  if (result.revoked) {
+    showStatus(t('optDeviceUnpaired'), 'success');
+  } else {
+    showStatus(t('logoutNotRevoked'), 'error');
+  }
 });
 
+// ============================================================================
+// Paired devices
+// ============================================================================
+
+let devices = [];
+
+async function loadDevices() {
+  devicesStatusEl.textContent = t('optDevicesLoading');
+  const result = await Protocol.ask('GET_DEVICES');
+  devices = result.devices || [];
+  devicesStatusEl.textContent = result.code ? t('optDevicesError') : '';
+  renderDevices();
+}
+
+function renderDevices() {
+  deviceListEl.replaceChildren(...devices.map(device => {
+    const li = document.createElement('li');
+    li.className = 'device-item';
+
+    const info = document.createElement('div');
+    info.className = 'device-item-info';
+    const name = document.createElement('div');
+    name.className = 'device-item-name';
+    name.textContent = device.name || device.id;
+    if (device.id === activeProfile?.deviceId) {
+      const current = document.createElement('span');
+      current.className = 'device-item-current';
+      current.textContent = t('optDeviceCurrent');
+      name.append(current);
+    }
+    const seen = document.createElement('div');
+    seen.className = 'device-item-seen';
+    seen.textContent = device.lastSeenAt
+      ? t('optDeviceLastSeen', formatRelativeTime(Date.parse(device.lastSeenAt)))
+      : t('optDeviceNeverSeen');
+    info.append(name, seen);
+
+    const revokeBtn = document.createElement('button');
+    revokeBtn.className = 'btn btn-secondary btn-small';
+    revokeBtn.textContent = t('optDeviceRevoke');
+    revokeBtn.addEventListener('click', () => revokeDevice(device, revokeBtn));
+
+    li.append(info, revokeBtn);
+    return li;
+  }));
+}
+
+async function revokeDevice(device, btn) {
+  if (!confirm(t('optDeviceRevokeConfirm', device.name || device.id))) return;
+  btn.disabled = true;
+  const result = await Protocol.ask('REVOKE_DEVICE', { deviceId: device.id });
+  if (!result.success) {
+    btn.disabled = false;
+    showStatus(t('optDeviceRevokeError'), 'error');
+    return;
+  }
+  // Revoking this computer unpairs it; renderProfiles() follows the change
+  showStatus(t('optDeviceRevoked', device.name || device.id), 'success');
+  if (device.id !== activeProfile.deviceId) loadDevices();
+}
+
 // Auto-uppercase pairing code input
 pairCodeInput.addEventListener('input', () => {
   pairCodeInput.value = pairCodeInput.value.toUpperCase();
 });
 
-// Save settings
-saveBtn.addEventListener('click', () => {
-  const settings = {
-    apiBaseUrl: apiBaseUrlInput.value.replace(/\/+$/, ''),
+// Save settings: server and key go to the active profile, the rest is synced
+saveBtn.addEventListener('click', async () => {
+  const profile = await Profiles.updateProfile(activeProfile.id, {
+    apiBaseUrl: apiBaseUrlInput.value,
     apiKey: apiKeyInput.value,
-    debug: debugInput.checked,
-  };
-
-  chrome.storage.sync.set(settings, () => {
-    // Also sync pairing server URL
-    pairServerUrlInput.value = settings.apiBaseUrl;
-    showStatus('Configuracoes salvas', 'success');
   });
+  await chrome.storage.sync.set({ debug: debugInput.checked });
+  notifyProfileChanged();
+
+  // Also sync pairing server URL
+  apiBaseUrlInput.value = profile.apiBaseUrl;
+  pairServerUrlInput.value = profile.apiBaseUrl;
+  showStatus(t('optSettingsSaved'), 'success');
 });
 
 // Test connection
 testBtn.addEventListener('click', async () => {
   // Determine which auth method to use
-  const config = await new Promise(resolve => {
-    chrome.storage.sync.get({
-      apiBaseUrl: 'https://cloud.supernavi.app',
-      apiKey: '',
-      deviceToken: '',
-    }, resolve);
-  });
+  const config = await Profiles.getActiveProfile();
 
   const baseUrl = config.apiBaseUrl;
 
   if (!baseUrl) {
-    showStatus('Insira a URL do servidor', 'error');
+    showStatus(t('optEnterServerUrl'), 'error');
     return;
   }
 
@@ -182,11 +401,11 @@ testBtn.addEventListener('click', async () => {
   } else if (config.apiKey) {
     headers['x-supernavi-key'] = config.apiKey;
   } else {
-    showStatus('Configure o pareamento ou insira a chave de API', 'error');
+    showStatus(t('optConfigureAuth'), 'error');
     return;
   }
 
-  showStatus('Testando...', '');
+  showStatus(t('optTesting'), '');
 
   try {
     const response = await fetch(`${baseUrl}/api/ui-bridge/cases/TEST000000/status`, {
@@ -194,17 +413,685 @@ testBtn.addEventListener('click', async () => {
     });
 
     if (response.ok) {
-      showStatus('Conexao OK', 'success');
+      showStatus(t('optConnectionOk'), 'success');
     } else if (response.status === 401 || response.status === 403) {
-      showStatus('Autenticacao invalida', 'error');
+      showStatus(t('optAuthInvalid'), 'error');
     } else {
-      showStatus(`Servidor respondeu com status ${response.status}`, 'error');
+      showStatus(t('optServerStatus', response.status), 'error');
     }
   } catch (err) {
-    showStatus('Nao foi possivel conectar ao servidor', 'error');
+    showStatus(t('optCannotConnect'), 'error');
   }
 });
 
+// ============================================================================
+// Custom site integrations
+// ============================================================================
+
+let customSites = [];
+let editingSiteId = null;
+
+chrome.storage.sync.get({ customSites: [] }, (items) => {
+  customSites = items.customSites;
+  renderCustomSites();
+});
+
+function renderCustomSites() {
+  customSiteListEl.replaceChildren(...customSites.map(site => {
+    const li = document.createElement('li');
+    li.className = 'site-item';
+
+    const info = document.createElement('div');
+    info.className = 'site-item-info';
+    const name = document.createElement('div');
+    name.className = 'site-item-name';
+    name.textContent = site.name || site.hostPattern;
+    const host = document.createElement('div');
+    host.className = 'site-item-host';
+    host.textContent = site.hostPattern;
+    info.append(name, host);
+
+    const editBtn = document.createElement('button');
+    editBtn.className = 'btn btn-secondary btn-small';
+    editBtn.textContent = t('optEdit');
+    editBtn.addEventListener('click', () => editCustomSite(site));
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'btn btn-secondary btn-small';
+    removeBtn.textContent = t('optRemove');
+    removeBtn.addEventListener('click', () => removeCustomSite(site));
+
+    li.append(info, editBtn, removeBtn);
+    return li;
+  }));
+}
+
+function editCustomSite(site) {
+  editingSiteId = site?.id || null;
+  renderEditorTitle(site);
+  siteNameInput.value = site?.name || '';
+  siteHostPatternInput.value = site?.hostPattern || '';
+  siteSelectorsInput.value = (site?.selectors || []).join('\n');
+  siteCasePatternInput.value = site?.casePattern || '';
+  sitePrefixMapInput.value = Object.entries(site?.prefixMap || {})
+    .map(([from, to]) => `${from}=${to}`).join('\n');
+  sitePatientFieldsInput.value = Object.entries(site?.patientFields || {})
+    .map(([field, source]) => `${field}=${source}`).join('\n');
+  siteNamespaceInput.value = site?.namespace || '';
+  sitePreviewEl.textContent = '';
+  customSiteEditorEl.open = true;
+}
+
+function renderEditorTitle(site) {
+  customSiteEditorTitleEl.textContent = site
+    ? t('optEditSite', site.name || site.hostPattern)
+    : t('optNewSite');
+}
+
+/**
+ * Parse "key=value" lines; only the first '=' separates key from value.
+ */
+function parseKeyValueLines(text) {
+  const result = {};
+  for (const line of text.split('\n')) {
+    const idx = line.indexOf('=');
+    if (idx <= 0) continue;
+    const key = line.slice(0, idx).trim();
+    const value = line.slice(idx + 1).trim();
+    if (key && value) result[key] = value;
+  }
+  return result;
+}
+
+/**
+ * Read the editor into a rule and validate it by building the adapter.
+ * Returns { rule } or { error }.
+ */
+function readCustomSiteForm() {
+  const rule = {
+    id: editingSiteId || crypto.randomUUID().slice(0, 8),
+    name: siteNameInput.value.trim(),
+    hostPattern: siteHostPatternInput.value.trim(),
+    selectors: siteSelectorsInput.value.split('\n').map(l => l.trim()).filter(Boolean),
+    casePattern: siteCasePatternInput.value.trim(),
+    prefixMap: parseKeyValueLines(sitePrefixMapInput.value),
+    patientFields: parseKeyValueLines(sitePatientFieldsInput.value),
+    namespace: siteNamespaceInput.value.trim().replace(/:+$/, ''),
+  };
+
+  if (!rule.hostPattern) return { error: t('optEnterHostPattern') };
+  if (!rule.casePattern) return { error: t('optEnterCasePattern') };
+
+  try {
+    SuperNaviAdapters.createCustomAdapter(rule);
+  } catch (err) {
+    return { error: t('optInvalidRule', err.message) };
+  }
+  return { rule };
+}
+
+// Drop a host permission unless another rule still needs it
+async function releaseHostPermission(hostPattern) {
+  if (customSites.some(s => s.hostPattern === hostPattern)) return;
+  await chrome.permissions.remove({ origins: [hostPattern] }).catch(() => {});
+}
+
+async function removeCustomSite(site) {
+  customSites = customSites.filter(s => s.id !== site.id);
+  await chrome.storage.sync.set({ customSites });
+  await releaseHostPermission(site.hostPattern);
+  if (editingSiteId === site.id) editCustomSite(null);
+  renderCustomSites();
+  showStatus(t('optSiteRemoved'), 'success');
+}
+
+siteNewBtn.addEventListener('click', () => editCustomSite(null));
+
+siteSaveBtn.addEventListener('click', async () => {
+  const { rule, error } = readCustomSiteForm();
+  if (error) {
+    showStatus(error, 'error');
+    return;
+  }
+
+  // Must run straight from the click: permissions.request needs a user gesture
+  const granted = await chrome.permissions.request({ origins: [rule.hostPattern] }).catch(() => false);
+  if (!granted) {
+    showStatus(t('optPermissionDenied'), 'error');
+    return;
+  }
+
+  const idx = customSites.findIndex(s => s.id === rule.id);
+  const previous = idx >= 0 ? customSites[idx] : null;
+  if (idx >= 0) customSites[idx] = rule;
+  else customSites.push(rule);
+
+  await chrome.storage.sync.set({ customSites });
+  // A new host pattern replaces the old one: don't keep access to the old origin
+  if (previous && previous.hostPattern !== rule.hostPattern) await releaseHostPermission(previous.hostPattern);
+  editingSiteId = rule.id;
+  renderCustomSites();
+  showStatus(t('optSiteSaved'), 'success');
+});
+
+/**
+ * Preview what detectCaseBase() and scrapePatientData() return on the most
+ * recently used tab matching the host pattern, using the unsaved form values.
+ */
+siteTestBtn.addEventListener('click', async () => {
+  const { rule, error } = readCustomSiteForm();
+  if (error) {
+    showStatus(error, 'error');
+    return;
+  }
+
+  const granted = await chrome.permissions.request({ origins: [rule.hostPattern] }).catch(() => false);
+  if (!granted) {
+    showStatus(t('optPermissionDenied'), 'error');
+    return;
+  }
+
+  const tabs = await chrome.tabs.query({ url: rule.hostPattern });
+  if (!tabs.length) {
+    sitePreviewEl.textContent = t('optNoTabOpen', rule.hostPattern);
+    return;
+  }
+  const tab = tabs.sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0))[0];
+
+  try {
+    await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: ['adapters.js'] });
+    const [{ result }] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      args: [rule],
+      func: (rule) => {
+        const adapters = globalThis.SuperNaviAdapters;
+        const adapter = adapters.createCustomAdapter(rule);
+        return {
+          caseBase: adapters.detectCaseBase(adapter, document),
+          patientData: adapters.scrapePatientFields(adapter, document),
+        };
+      },
+    });
+    sitePreviewEl.textContent = [
+      t('optPreviewTab', tab.title || tab.url),
+      `detectCaseBase(): ${JSON.stringify(result.caseBase)}`,
+      `scrapePatientData(): ${JSON.stringify(result.patientData, null, 2)}`,
+    ].join('\n');
+  } catch (err) {
+    sitePreviewEl.textContent = t('optTestError', err.message);
+  }
+});
+
+// ============================================================================
+// Viewer placement
+// ============================================================================
+
+async function renderViewerSettings() {
+  const { viewerTarget } = await chrome.storage.sync.get({ viewerTarget: 'new-tab' });
+  const { viewerDisplayId } = await chrome.storage.local.get({ viewerDisplayId: '' });
+  const displays = await chrome.system.display.getInfo();
+
+  viewerTargetSelect.value = viewerTarget;
+  viewerDisplaySelect.replaceChildren(...displays.map((d, i) => {
+    const opt = document.createElement('option');
+    opt.value = d.id;
+    const name = d.name || t('optViewerMonitorName', i + 1);
+    opt.textContent = `${name} (${d.bounds.width}×${d.bounds.height}${d.isPrimary ? `, ${t('optViewerPrimary')}` : ''})`;
+    return opt;
+  }));
+  // Default to the first secondary display, which is what "another monitor" means
+  const fallback = displays.find(d => !d.isPrimary) || displays[0];
+  viewerDisplaySelect.value = displays.some(d => d.id === viewerDisplayId) ? viewerDisplayId : fallback?.id || '';
+  viewerDisplayField.style.display = viewerTarget === 'display' ? 'block' : 'none';
+}
+
+viewerTargetSelect.addEventListener('change', async () => {
+  await chrome.storage.sync.set({ viewerTarget: viewerTargetSelect.value });
+  viewerDisplayField.style.display = viewerTargetSelect.value === 'display' ? 'block' : 'none';
+  showStatus(t('optViewerSaved'), 'success');
+});
+
+viewerDisplaySelect.addEventListener('change', async () => {
+  // Bounds saved on another display would defeat the new choice
+  const { viewerWindowBounds } = await chrome.storage.local.get({ viewerWindowBounds: null });
+  const { display, ...others } = viewerWindowBounds || {};
+  await chrome.storage.local.set({ viewerDisplayId: viewerDisplaySelect.value, viewerWindowBounds: others });
+  showStatus(t('optViewerMonitorSaved'), 'success');
+});
+
+viewerResetBtn.addEventListener('click', async () => {
+  await chrome.storage.local.remove('viewerWindowBounds');
+  showStatus(t('optViewerResetDone'), 'success');
+});
+
+chrome.system.display.onDisplayChanged.addListener(renderViewerSettings);
+renderViewerSettings();
+
+// ============================================================================
+// Case history
+// ============================================================================
+
+const CASE_HISTORY_LIMITS = [0, 10, 20, 50, 100];
+
+async function renderCaseHistorySettings() {
+  const limit = await SuperNaviCaseHistory.getLimit();
+  caseHistoryLimitSelect.replaceChildren(...CASE_HISTORY_LIMITS.map(n => {
+    const option = document.createElement('option');
+    option.value = n;
+    option.textContent = n ? plural('optHistoryKeep', n) : t('optHistoryOff');
+    option.selected = n === limit;
+    return option;
+  }));
+  const count = await SuperNaviCaseHistory.countEntries();
+  historyCountEl.textContent = plural('optHistoryCount', count);
+  historyClearBtn.disabled = count === 0;
+}
+
+caseHistoryLimitSelect.addEventListener('change', async () => {
+  await SuperNaviCaseHistory.setLimit(Number(caseHistoryLimitSelect.value));
+  showStatus(t('optHistorySaved'), 'success');
+});
+
+historyClearBtn.addEventListener('click', async () => {
+  if (!confirm(t('optHistoryClearConfirm'))) return;
+  await SuperNaviCaseHistory.clearHistory();
+  showStatus(t('optHistoryCleared'), 'success');
+});
+
+// Cases viewed in open PathoWeb tabs show up while the page is open
+SuperNaviCaseHistory.onChange(renderCaseHistorySettings);
+renderCaseHistorySettings();
+
+// ============================================================================
+// Watched cases
+// ============================================================================
+
+async function renderWatchedCases() {
+  const [watched, profiles] = await Promise.all([WatchList.getWatched(), Profiles.getProfiles()]);
+  const labels = new Map(profiles.map(p => [p.id, Profiles.profileLabel(p)]));
+
+  watchListEl.replaceChildren(...watched.map(entry => {
+    const li = document.createElement('li');
+    li.className = 'watch-item';
+
+    const info = document.createElement('div');
+    info.className = 'watch-item-info';
+    const caseEl = document.createElement('div');
+    caseEl.className = 'watch-item-case';
+    caseEl.textContent = entry.caseBase;
+    const detail = document.createElement('div');
+    detail.className = 'watch-item-detail';
+    detail.textContent = [
+      `${plural('optWatchReady', entry.readySlideIds.length)}, ${plural('optWatchProcessing', entry.processing)}`,
+      t('optWatchSince', formatRelativeTime(entry.watchedAt)),
+      // Only worth telling apart with more than one lab
+      profiles.length > 1 && (labels.get(entry.profileId) || '—'),
+    ].filter(Boolean).join(' · ');
+    info.append(caseEl, detail);
+
+    const stopBtn = document.createElement('button');
+    stopBtn.className = 'btn btn-secondary btn-small';
+    stopBtn.textContent = t('optWatchStop');
+    stopBtn.addEventListener('click', async () => {
+      await WatchList.unwatch(entry);
+      showStatus(t('optWatchStopped', entry.caseBase), 'success');
+    });
+
+    li.append(info, stopBtn);
+    return li;
+  }));
+  watchEmptyEl.style.display = watched.length ? 'none' : 'block';
+}
+
+// Checks in the background update the counts while the page is open
+WatchList.onChange(renderWatchedCases);
+renderWatchedCases();
+
+// ============================================================================
+// Patient data (PHI)
+// ============================================================================
+
+const PHI_FIELD_LABELS = {
+  patientName: 'optPhiFieldPatientName',
+  patientId: 'optPhiFieldPatientId',
+  age: 'optPhiFieldAge',
+  doctor: 'optPhiFieldDoctor',
+};
+
+const PHI_MODE_LABELS = {
+  send: 'optPhiModeSend',
+  hash: 'optPhiModeHash',
+  initials: 'optPhiModeInitials',
+  never: 'optPhiModeNever',
+};
+
+const PHI_ACTION_LABELS = {
+  enrich: 'optPhiActionEnrich',
+  'viewer-link': 'optPhiActionViewerLink',
+  'patient-cases': 'optPhiActionPatientCases',
+};
+
+const PHI_AUDIT_SHOWN = 20;
+
+// Org policy of the active profile; null when the org has none
+let orgPolicy = null;
+// Keeps the consent card open after an answer given from "review consent"
+let consentReviewing = location.hash === '#consent';
+
+const isOrgLocked = field => !!orgPolicy?.fields?.[field] && Phi.FIELD_MODES[field].includes(orgPolicy.fields[field]);
+
+function describeModes(modes) {
+  return Phi.FIELDS.map(field => `${t(PHI_FIELD_LABELS[field])}: ${t(PHI_MODE_LABELS[modes[field]])}`);
+}
+
+async function renderPhiSettings() {
+  const [settings, consent] = await Promise.all([Phi.getSettings(), Phi.getConsent()]);
+  const modes = Phi.effectiveModes(settings, orgPolicy);
+
+  phiFieldListEl.replaceChildren(...Phi.FIELDS.map(field => {
+    const row = document.createElement('div');
+    row.className = 'field';
+    const label = document.createElement('label');
+    label.htmlFor = `phi-${field}`;
+    label.textContent = isOrgLocked(field) ? `🔒 ${t(PHI_FIELD_LABELS[field])}` : t(PHI_FIELD_LABELS[field]);
+    const select = document.createElement('select');
+    select.id = `phi-${field}`;
+    select.disabled = isOrgLocked(field);
+    select.append(...Phi.FIELD_MODES[field].map(mode => {
+      // Unsalted hashes of short values are reversible: only with the org's salt
+      const unavailable = mode === 'hash' && !Phi.canHash(orgPolicy);
+      const option = new Option(t(unavailable ? 'optPhiModeHashUnavailable' : PHI_MODE_LABELS[mode]), mode, false, mode === modes[field]);
+      option.disabled = unavailable;
+      return option;
+    }));
+    select.addEventListener('change', async () => {
+      // Re-read: another field may have changed since this list was built
+      await Phi.setSettings({ ...(await Phi.getSettings()), [field]: select.value });
+      showStatus(t('optPhiSaved'), 'success');
+    });
+    row.append(label, select);
+    return row;
+  }));
+  phiOrgHintEl.style.display = Phi.FIELDS.some(isOrgLocked) ? 'block' : 'none';
+
+  if (Phi.hasConsent(consent)) {
+    phiConsentStatusEl.textContent = t('optPhiConsentGiven', new Date(consent.at).toLocaleDateString(SuperNaviI18n.locale()));
+  } else if (Phi.isConsentCurrent(consent)) {
+    phiConsentStatusEl.textContent = t('optPhiConsentDeclined');
+  } else {
+    phiConsentStatusEl.textContent = t('optPhiConsentMissing');
+  }
+
+  consentFieldListEl.replaceChildren(...describeModes(modes).map(text => {
+    const li = document.createElement('li');
+    li.textContent = text;
+    return li;
+  }));
+  consentCardEl.style.display = consentReviewing || !Phi.isConsentCurrent(consent) ? 'block' : 'none';
+}
+
+async function renderPhiAudit() {
+  const entries = await Phi.getAuditLog();
+  phiAuditListEl.replaceChildren(...entries.slice(0, PHI_AUDIT_SHOWN).map(entry => {
+    const li = document.createElement('li');
+    li.className = 'audit-item';
+    const when = document.createElement('div');
+    when.className = 'audit-item-when';
+    when.textContent = `${new Date(entry.at).toLocaleString(SuperNaviI18n.locale())} · ${t(PHI_ACTION_LABELS[entry.action] || entry.action)}`;
+    const what = document.createElement('div');
+    const caseEl = document.createElement('span');
+    caseEl.className = 'audit-item-case';
+    caseEl.textContent = entry.externalCaseId || '—';
+    what.append(caseEl, ` · ${Object.entries(entry.fields)
+      .map(([field, mode]) => `${t(PHI_FIELD_LABELS[field])} (${t(PHI_MODE_LABELS[mode])})`)
+      .join(', ')}`);
+    li.append(when, what);
+    return li;
+  }));
+  phiAuditCountEl.textContent = plural('optPhiAuditCount', entries.length);
+  phiAuditClearBtn.disabled = entries.length === 0;
+}
+
+async function loadOrgPolicy() {
+  const response = await Protocol.ask('GET_ORG_POLICY');
+  orgPolicy = response?.policy || null;
+  renderPhiSettings();
+}
+
+async function answerConsent(accepted) {
+  await Phi.setConsent(accepted);
+  consentReviewing = false;
+  if (location.hash === '#consent') history.replaceState(null, '', location.pathname);
+  renderPhiSettings();
+  showStatus(t(accepted ? 'optConsentAccepted' : 'optConsentDeclined'), 'success');
+}
+
+consentAcceptBtn.addEventListener('click', () => answerConsent(true));
+consentDeclineBtn.addEventListener('click', () => answerConsent(false));
+
+phiConsentReviewBtn.addEventListener('click', () => {
+  consentReviewing = true;
+  renderPhiSettings();
+  consentCardEl.scrollIntoView({ behavior: 'smooth' });
+});
+
+phiAuditClearBtn.addEventListener('click', async () => {
+  if (!confirm(t('optPhiAuditClearConfirm'))) return;
+  await Phi.clearAuditLog();
+  showStatus(t('optPhiAuditCleared'), 'success');
+});
+
+Phi.onChange(() => {
+  renderPhiSettings();
+  renderPhiAudit();
+});
+// Locked fields follow the org of the active profile
+Profiles.onChange(loadOrgPolicy);
+renderPhiSettings();
+renderPhiAudit();
+loadOrgPolicy();
+
+// ============================================================================
+// Activity log
+// ============================================================================
+
+const ACTIVITY_RETENTION_DAYS = [30, 90, 180, 365, 730, 1825];
+const ACTIVITY_SHOWN = 100;
+const ACTIVITY_FILTER_DELAY_MS = 300;
+
+const ACTIVITY_EVENT_LABELS = {
+  'case-detected': 'optActivityEventCaseDetected',
+  'slide-opened': 'optActivityEventSlideOpened',
+  'case-enriched': 'optActivityEventCaseEnriched',
+};
+
+const ACTIVITY_OUTCOME_LABELS = {
+  partial: 'optActivityOutcomePartial',
+  skipped: 'optActivityOutcomeSkipped',
+  error: 'optActivityOutcomeError',
+};
+
+let activityFilterTimer = null;
+
+// Date inputs are local days: from the start of the first to the end of the last
+function activityFilter() {
+  return {
+    from: activityFromInput.value ? new Date(`${activityFromInput.value}T00:00`).getTime() : undefined,
+    to: activityToInput.value ? new Date(`${activityToInput.value}T23:59:59.999`).getTime() : undefined,
+    caseQuery: activityCaseInput.value,
+  };
+}
+
+function retentionLabel(days) {
+  return days % 365 === 0 ? plural('optActivityKeepYears', days / 365) : plural('optActivityKeepMonths', days / 30);
+}
+
+function renderActivityEntry(entry) {
+  const li = document.createElement('li');
+  li.className = 'audit-item';
+  const when = document.createElement('div');
+  when.className = 'audit-item-when';
+  when.textContent = [
+    new Date(entry.at).toLocaleString(SuperNaviI18n.locale()),
+    t(ACTIVITY_EVENT_LABELS[entry.event] || entry.event),
+    ACTIVITY_OUTCOME_LABELS[entry.outcome] && t(ACTIVITY_OUTCOME_LABELS[entry.outcome]),
+  ].filter(Boolean).join(' · ');
+  const what = document.createElement('div');
+  const caseEl = document.createElement('span');
+  caseEl.className = 'audit-item-case';
+  caseEl.textContent = entry.caseBase || '—';
+  const details = [
+    entry.slideIds.length && plural('optActivitySlides', entry.slideIds.length),
+    entry.user,
+    entry.device,
+  ].filter(Boolean);
+  what.append(caseEl, details.length ? ` · ${details.join(' · ')}` : '');
+  li.append(when, what);
+  return li;
+}
+
+async function renderActivity() {
+  // One extra entry tells whether there is more than what is shown
+  const entries = await ActivityLog.query({ ...activityFilter(), limit: ACTIVITY_SHOWN + 1 });
+  activityListEl.replaceChildren(...entries.slice(0, ACTIVITY_SHOWN).map(renderActivityEntry));
+  activityCountEl.textContent = entries.length > ACTIVITY_SHOWN
+    ? t('optActivityMore', ACTIVITY_SHOWN)
+    : plural('optActivityCount', entries.length);
+  activityCsvBtn.disabled = activityJsonBtn.disabled = entries.length === 0;
+}
+
+async function renderActivityRetention() {
+  const days = await ActivityLog.getRetentionDays();
+  activityRetentionSelect.replaceChildren(...ACTIVITY_RETENTION_DAYS.map(n =>
+    new Option(retentionLabel(n), n, false, n === days)));
+}
+
+async function exportActivity(format) {
+  const entries = await ActivityLog.query(activityFilter());
+  // The BOM makes spreadsheet apps read the accents as UTF-8
+  const [content, type] = format === 'csv'
+    ? [`\ufeff${ActivityLog.toCsv(entries)}`, 'text/csv']
+    : [ActivityLog.toJson(entries), 'application/json'];
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `supernavi-activity-${new Date().toISOString().slice(0, 10)}.${format}`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url));
+  showStatus(plural('optActivityExported', entries.length), 'success');
+}
+
+activityFromInput.addEventListener('change', renderActivity);
+activityToInput.addEventListener('change', renderActivity);
+activityCaseInput.addEventListener('input', () => {
+  clearTimeout(activityFilterTimer);
+  activityFilterTimer = setTimeout(renderActivity, ACTIVITY_FILTER_DELAY_MS);
+});
+activityCsvBtn.addEventListener('click', () => exportActivity('csv'));
+activityJsonBtn.addEventListener('click', () => exportActivity('json'));
+
+activityRetentionSelect.addEventListener('change', async () => {
+  const days = Number(activityRetentionSelect.value);
+  // A shorter period deletes entries right away
+  if (days < await ActivityLog.getRetentionDays() && !confirm(t('optActivityRetentionConfirm', retentionLabel(days)))) {
+    renderActivityRetention();
+    return;
+  }
+  await ActivityLog.setRetentionDays(days);
+  renderActivity();
+  showStatus(t('optActivityRetentionSaved'), 'success');
+});
+
+// The service worker writes the log; pick up new entries when coming back
+document.addEventListener('visibilitychange', () => {
+  if (!document.hidden) renderActivity();
+});
+renderActivity();
+renderActivityRetention();
+
+// ============================================================================
+// Keyboard shortcuts
+// ============================================================================
+
+// The manifest's descriptions follow the browser language, not uiLanguage
+const COMMAND_LABELS = {
+  'toggle-drawer': 'cmdToggleDrawer',
+  'open-first-slide': 'cmdOpenFirstSlide',
+  'focus-search': 'cmdFocusSearch',
+};
+
+async function renderShortcuts() {
+  const commands = await chrome.commands.getAll();
+  shortcutListEl.replaceChildren(...commands
+    .filter(cmd => cmd.description)
+    .map(cmd => {
+      const li = document.createElement('li');
+      li.className = 'shortcut-item';
+      const label = document.createElement('span');
+      label.textContent = COMMAND_LABELS[cmd.name] ? t(COMMAND_LABELS[cmd.name]) : cmd.description;
+      const keys = document.createElement(cmd.shortcut ? 'kbd' : 'span');
+      keys.className = cmd.shortcut ? '' : 'shortcut-unset';
+      keys.textContent = cmd.shortcut || t('optShortcutUnset');
+      li.append(label, keys);
+      return li;
+    }));
+}
+
+renderShortcuts();
+
+// Shortcuts can only be changed on Chrome's own page
+shortcutsBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+});
+
+// Reflect changes made on chrome://extensions/shortcuts when coming back
+document.addEventListener('visibilitychange', () => {
+  if (!document.hidden) renderShortcuts();
+});
+
+// ============================================================================
+// Language
+// ============================================================================
+
+uiLanguageSelect.addEventListener('change', async () => {
+  await chrome.storage.sync.set({ uiLanguage: uiLanguageSelect.value });
+  // The page re-renders through SuperNaviI18n.onChange once the catalog loads
+});
+
+/**
+ * Re-translate static markup and everything rendered from script.
+ */
+function localizePage() {
+  SuperNaviI18n.applyToDocument();
+  if (activeProfile) renderProfiles();
+  if (pairedDeviceName !== null) showPairedState(pairedDeviceName);
+  renderDevices();
+  renderEditorTitle(customSites.find(s => s.id === editingSiteId));
+  renderCustomSites();
+  renderShortcuts();
+  renderViewerSettings();
+  renderCaseHistorySettings();
+  renderWatchedCases();
+  renderPhiSettings();
+  renderPhiAudit();
+  renderActivity();
+  renderActivityRetention();
+}
+
+SuperNaviI18n.onChange(() => {
+  localizePage();
+  showStatus(t('optLanguageSaved'), 'success');
+});
+SuperNaviI18n.ready().then(localizePage);
+
+function formatRelativeTime(timestamp) {
+  const seconds = Math.round((timestamp - Date.now()) / 1000);
+  const units = [['day', 86_400], ['hour', 3_600], ['minute', 60]];
+  const [unit, size] = units.find(([, size]) => Math.abs(seconds) >= size) || ['second', 1];
+  return new Intl.RelativeTimeFormat(SuperNaviI18n.locale(), { numeric: 'auto' })
+    .format(unit === 'second' ? 0 : Math.round(seconds / size), unit);
+}
+
 function showStatus(message, type) {
   statusEl.textContent = message;
   statusEl.className = 'status';
@@ -0,0 +1,218 @@
+/**
+ * SuperNavi Bridge Extension - Patient Data (PHI) Policy
+ *
+ * What may leave the extension of the patient fields a page shows (name,
+ * record number, age, requesting doctor), field by field:
+ *   send      the value as read
+ *   hash      SHA-256 of the normalized value with the org's salt. Without a
+ *             salt there is no hash: a short record number hashed plainly is
+ *             reversed by trying every number, so the field is not sent
+ *   initials  initials only ('Maria da Silva' → 'M.S.'), names only
+ *   never     not sent
+ *
+ * Nothing is sent before the user consented. An org policy pushed by the
+ * server overrides the local choice for the fields it names. Every send is
+ * recorded in a local audit log: which fields, in which mode, for which
+ * case and when — never the values.
+ *
+ * Used by the service worker, where data is minimized, and the options page.
+ * Guarded like adapters.js.
+ */
+
+(() => {
+  if (globalThis.SuperNaviPhiPolicy) return;
+
+  const SETTINGS_KEY = 'phiFields';
+  const CONSENT_KEY = 'phiConsent';
+  const AUDIT_KEY = 'phiAuditLog';
+  const AUDIT_LIMIT = 500;
+
+  // Bump when the consent text changes materially: everyone is asked again
+  const CONSENT_VERSION = 1;
+
+  const MODES = ['send', 'hash', 'initials', 'never'];
+
+  // Modes that make sense per field; fields not listed here are never sent
+  const FIELD_MODES = {
+    patientName: ['send', 'hash', 'initials', 'never'],
+    patientId: ['send', 'hash', 'never'],
+    age: ['send', 'never'],
+    doctor: ['send', 'hash', 'initials', 'never'],
+  };
+
+  // Privacy by default: the least that keeps prior cases working (the record
+  // number only once the org's policy provides a hash salt)
+  const DEFAULT_SETTINGS = {
+    patientName: 'initials',
+    patientId: 'hash',
+    age: 'send',
+    doctor: 'never',
+  };
+
+  const FIELDS = Object.keys(FIELD_MODES);
+
+  // Lowercase name particles left out of initials
+  const NAME_PARTICLES = new Set(['da', 'das', 'de', 'del', 'di', 'do', 'dos', 'du', 'e', 'y', 'la', 'van', 'von']);
+
+  function isValidMode(field, mode) {
+    return !!FIELD_MODES[field]?.includes(mode);
+  }
+
+  /**
+   * Local per-field choice (chrome.storage.sync: it follows the user).
+   */
+  async function getSettings() {
+    const { [SETTINGS_KEY]: saved } = await chrome.storage.sync.get({ [SETTINGS_KEY]: {} });
+    const settings = {};
+    for (const field of FIELDS) {
+      settings[field] = isValidMode(field, saved[field]) ? saved[field] : DEFAULT_SETTINGS[field];
+    }
+    return settings;
+  }
+
+  async function setSettings(settings) {
+    await chrome.storage.sync.set({ [SETTINGS_KEY]: settings });
+  }
+
+  /**
+   * { version, accepted, at } or null when never asked.
+   */
+  async function getConsent() {
+    const { [CONSENT_KEY]: consent } = await chrome.storage.sync.get({ [CONSENT_KEY]: null });
+    return consent;
+  }
+
+  async function setConsent(accepted) {
+    await chrome.storage.sync.set({ [CONSENT_KEY]: { version: CONSENT_VERSION, accepted, at: Date.now() } });
+  }
+
+  /**
+   * The user answered the current consent text (either way).
+   */
+  function isConsentCurrent(consent) {
+    return consent?.version === CONSENT_VERSION;
+  }
+
+  function hasConsent(consent) {
+    return isConsentCurrent(consent) && consent.accepted === true;
+  }
+
+  /**
+   * Mode per field: the org policy where it names a valid mode, else the
+   * local setting. 'hash' becomes 'never' when the org has no salt.
+   */
+  function effectiveModes(settings, orgPolicy) {
+    const modes = {};
+    for (const field of FIELDS) {
+      const orgMode = orgPolicy?.fields?.[field];
+      const mode = isValidMode(field, orgMode) ? orgMode : settings[field];
+      modes[field] = mode === 'hash' && !canHash(orgPolicy) ? 'never' : mode;
+    }
+    return modes;
+  }
+
+  function canHash(orgPolicy) {
+    return typeof orgPolicy?.hashSalt === 'string' && orgPolicy.hashSalt.length > 0;
+  }
+
+  function toInitials(value) {
+    return String(value)
+      .split(/\s+/)
+      .filter(word => word && !NAME_PARTICLES.has(word.toLowerCase()))
+      .map(word => `${word[0].toUpperCase()}.`)
+      .join('');
+  }
+
+  /**
+   * Salted SHA-256 hex of the value with case, accents and spacing
+   * normalized, so the same patient hashes the same on every page.
+   */
+  async function hashValue(value, salt) {
+    if (!salt) throw new Error('hashValue needs a salt');
+    const normalized = String(value)
+      .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .replace(/\s+/g, ' ').trim().toUpperCase();
+    const bytes = new TextEncoder().encode(`${salt}:${normalized}`);
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Apply `modes` to scraped patient data. Resolves with { data, fields }:
+   * the values to send and the mode used for each of them.
+   */
+  async function minimize(patientData, modes, { salt = '' } = {}) {
+    const data = {};
+    const fields = {};
+    for (const [field, value] of Object.entries(patientData || {})) {
+      const mode = modes[field] || 'never';
+      if (value == null || value === '' || mode === 'never') continue;
+      if (mode === 'send') data[field] = value;
+      else if (mode === 'hash' && salt) data[field] = await hashValue(value, salt);
+      else if (mode === 'initials') data[field] = toInitials(value);
+      else continue;
+      fields[field] = mode;
+    }
+    return { data, fields };
+  }
+
+  /**
+   * Audit log
+   *
+   * Entry: { at, action, externalCaseId, fields: { field: mode }, server }.
+   * Kept in chrome.storage.local, newest first, capped at AUDIT_LIMIT.
+   */
+  async function getAuditLog() {
+    const { [AUDIT_KEY]: entries } = await chrome.storage.local.get({ [AUDIT_KEY]: [] });
+    return entries;
+  }
+
+  // Several sends can be audited at once; one append at a time
+  let auditQueue = Promise.resolve();
+
+  function recordAudit(entry) {
+    const run = auditQueue.then(async () => {
+      const entries = await getAuditLog();
+      entries.unshift({ at: Date.now(), ...entry });
+      await chrome.storage.local.set({ [AUDIT_KEY]: entries.slice(0, AUDIT_LIMIT) });
+    });
+    auditQueue = run.catch(() => {});
+    return run;
+  }
+
+  async function clearAuditLog() {
+    await chrome.storage.local.remove(AUDIT_KEY);
+  }
+
+  /**
+   * Run `listener` when settings, consent or the audit log change.
+   */
+  function onChange(listener) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (changes[SETTINGS_KEY] || changes[CONSENT_KEY] || (area === 'local' && changes[AUDIT_KEY])) listener();
+    });
+  }
+
+  globalThis.SuperNaviPhiPolicy = {
+    CONSENT_VERSION,
+    MODES,
+    FIELDS,
+    FIELD_MODES,
+    DEFAULT_SETTINGS,
+    getSettings,
+    setSettings,
+    getConsent,
+    setConsent,
+    isConsentCurrent,
+    hasConsent,
+    effectiveModes,
+    canHash,
+    toInitials,
+    hashValue,
+    minimize,
+    getAuditLog,
+    recordAudit,
+    clearAuditLog,
+    onChange,
+  };
+})();
@@ -0,0 +1,300 @@
+/**
+ * SuperNavi Bridge Extension - Toolbar Popup
+ *
+ * Pairing state, account and server, a case search that works on any page
+ * and the recent cases. Requests to background.js go through protocol.js,
+ * like the content script's.
+ *
+ * Also opened as a small window by the context menu, to choose among the
+ * slides of a case: popup.html?case=AP26000230&ns=pathoweb. With ?q= the
+ * search starts from text no adapter recognized, so it can be corrected.
+ */
+
+const { t, plural } = SuperNaviI18n;
+const Adapters = SuperNaviAdapters;
+const CaseHistory = SuperNaviCaseHistory;
+const Profiles = SuperNaviProfiles;
+const Protocol = SuperNaviProtocol;
+
+const loadingEl = document.getElementById('loading');
+const statusDot = document.getElementById('statusDot');
+const optionsBtn = document.getElementById('optionsBtn');
+const versionEl = document.getElementById('version');
+
+// Paired view
+const pairedView = document.getElementById('pairedView');
+const userNameEl = document.getElementById('userName');
+const deviceNameEl = document.getElementById('deviceName');
+const serverUrlEl = document.getElementById('serverUrl');
+const searchForm = document.getElementById('searchForm');
+const searchInput = document.getElementById('searchInput');
+const searchSystemEl = document.getElementById('searchSystem');
+const resultEl = document.getElementById('result');
+const historyEl = document.getElementById('history');
+
+// Pairing view
+const pairView = document.getElementById('pairView');
+const pairServerUrlEl = document.getElementById('pairServerUrl');
+const pairForm = document.getElementById('pairForm');
+const pairCodeInput = document.getElementById('pairCode');
+const pairBtn = document.getElementById('pairBtn');
+const pairFeedbackEl = document.getElementById('pairFeedback');
+
+const ERROR_MESSAGES = {
+  'not-found': 'notFoundCase',
+  'unauthorized': 'errorUnauthorized',
+  'not-configured': 'errorNotConfigured',
+  'offline': 'errorOffline',
+  'timeout': 'errorTimeout',
+  'server': 'errorServer',
+  'rate-limited': 'errorRateLimited',
+  'forbidden': 'errorForbidden',
+  'client': 'errorClient',
+};
+
+let adapter = null; // Whose case numbers the search understands and namespaces
+let authInfo = null;
+const params = new URLSearchParams(location.search);
+
+// ============================================================================
+// Active tab
+// ============================================================================
+
+/**
+ * Adapter for the search: the one named by ?ns=, else the one of the active
+ * tab's page when it has one, else the first built-in adapter (PathoWeb).
+ */
+async function resolveSearchAdapter(tab, pageCase) {
+  const { customSites } = await chrome.storage.sync.get({ customSites: [] });
+  const custom = Adapters.createCustomAdapters(customSites);
+  const all = [...Adapters.getAdapters(), ...custom];
+  const namespace = params.get('ns') || pageCase?.namespace;
+  return (namespace && all.find(a => a.externalIdNamespace === namespace))
+    || (tab?.url && Adapters.findAdapterForUrl(tab.url, custom))
+    || all[0];
+}
+
+async function getPageCase(tab) {
+  if (!tab?.id) return null;
+  // Pages without our content script reject; that's expected
+  return chrome.tabs.sendMessage(tab.id, { type: 'GET_PAGE_CASE' }).catch(() => null);
+}
+
+// ============================================================================
+// Rendering
+// ============================================================================
+
+function render(profile) {
+  loadingEl.hidden = true;
+  const paired = !!authInfo?.authenticated;
+  statusDot.className = `status-dot status-dot--${paired ? 'green' : 'red'}`;
+  statusDot.title = t(paired ? 'popupConnected' : 'popupDisconnected');
+  pairedView.hidden = !paired;
+  pairView.hidden = paired;
+
+  const server = profile.apiBaseUrl.replace(/^https?:\/\//, '');
+  // Named profiles tell which lab this is; unnamed ones are just the server
+  serverUrlEl.textContent = profile.name ? `${profile.name} · ${server}` : server;
+  pairServerUrlEl.textContent = server;
+
+  if (paired) {
+    userNameEl.textContent = authInfo.user?.name || t('legacyUser');
+    deviceNameEl.textContent = authInfo.device?.name || t('legacyMode');
+    searchInput.placeholder = adapter.exampleCases?.length
+      ? t('searchPlaceholderExamples', new Intl.ListFormat(SuperNaviI18n.locale(), { type: 'disjunction' }).format(adapter.exampleCases))
+      : t('searchPlaceholder');
+    searchSystemEl.textContent = t('popupSearchSystem', adapter.name);
+    renderHistory();
+  }
+}
+
+async function renderHistory() {
+  const { pinned, recent } = await CaseHistory.getHistory(adapter.externalIdNamespace);
+  const group = (titleKey, entries) => entries.length ? `
+    <div class="card-title">${t(titleKey)}</div>
+    <ul class="list">${entries.map(renderHistoryEntry).join('')}</ul>
+  ` : '';
+  historyEl.innerHTML = pinned.length || recent.length
+    ? group('historyPinned', pinned) + group('historyRecent', recent)
+    : `<div class="empty">${t('historyEmpty')}</div>`;
+
+  historyEl.querySelectorAll('[data-case-base]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      searchInput.value = btn.dataset.caseBase;
+      searchCase(btn.dataset.caseBase);
+    });
+  });
+}
+
+function renderHistoryEntry(entry) {
+  const { ready = 0, processing = 0 } = entry.counts || {};
+  return `
+    <li>
+      <button class="list-item" type="button" data-case-base="${escapeHtml(entry.caseBase)}">
+        <span class="list-item-label mono">${escapeHtml(entry.caseBase)}</span>
+        ${ready ? `<span class="count count--ready">${ready}</span>` : ''}
+        ${processing ? `<span class="count count--processing">${processing}</span>` : ''}
+      </button>
+    </li>`;
+}
+
+function renderResult(status) {
+  const ready = status.readySlides || [];
+  const processing = status.processingSlides?.length || 0;
+  resultEl.innerHTML = `
+    <div class="result-header">
+      <span class="result-case mono">${escapeHtml(status.caseBase)}</span>
+      <span class="result-count">${plural('caseSlides', ready.length + processing)}</span>
+    </div>
+    ${ready.length ? `
+      <ul class="list">
+        ${ready.map(s => `
+          <li>
+            <button class="list-item" type="button" data-slide-id="${escapeHtml(s.slideId)}">
+              <span class="list-item-label">${escapeHtml(formatSlideLabel(s))}</span>
+              <span class="list-item-meta">${t('openInViewer')}</span>
+            </button>
+          </li>
+        `).join('')}
+      </ul>
+    ` : `<div class="empty">${processing ? plural('slidesProcessing', processing) : t('noSlidesForCase')}</div>`}
+  `;
+
+  resultEl.querySelectorAll('[data-slide-id]').forEach(btn => {
+    btn.addEventListener('click', () => openSlide(status.caseBase, btn));
+  });
+}
+
+function renderError(message) {
+  resultEl.innerHTML = `<div class="feedback feedback--error">${escapeHtml(message)}</div>`;
+}
+
+// ============================================================================
+// Search
+// ============================================================================
+
+async function searchCase(text) {
+  const caseBase = Adapters.extractCase(adapter, text.trim());
+  if (!caseBase) {
+    renderError(t('popupInvalidCase', adapter.name));
+    return;
+  }
+
+  resultEl.innerHTML = `<div class="empty">${t('popupSearching')}</div>`;
+  const status = await Protocol.ask('GET_CASE_STATUS', { caseBase });
+  if (status.code) {
+    renderError(t(ERROR_MESSAGES[status.code] || 'errorUnexpected'));
+    return;
+  }
+  renderResult(status);
+  CaseHistory.recordVisit(adapter.externalIdNamespace, caseBase, status);
+}
+
+async function openSlide(caseBase, btn) {
+  btn.disabled = true;
+  btn.querySelector('.list-item-meta').textContent = t('opening');
+  const result = await Protocol.ask('REQUEST_VIEWER_LINK', {
+    slideId: btn.dataset.slideId,
+    externalCaseId: Adapters.toExternalCaseId(adapter, caseBase),
+  });
+  if (result.success) {
+    window.close();
+    return;
+  }
+  btn.disabled = false;
+  btn.querySelector('.list-item-meta').textContent = t('openInViewer');
+  renderError(`${t('contextSlide')}. ${t(ERROR_MESSAGES[result.code] || 'errorUnexpected')}`);
+}
+
+searchForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  searchCase(searchInput.value);
+});
+
+// ============================================================================
+// Pairing
+// ============================================================================
+
+pairCodeInput.addEventListener('input', () => {
+  pairCodeInput.value = pairCodeInput.value.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  pairBtn.disabled = pairCodeInput.value.length !== 6;
+});
+
+pairForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const code = pairCodeInput.value.trim();
+  if (code.length !== 6) return;
+
+  pairBtn.disabled = true;
+  pairBtn.textContent = t('pairConnecting');
+  pairFeedbackEl.textContent = '';
+  pairFeedbackEl.className = 'feedback';
+
+  const result = await Protocol.ask('CLAIM_PAIRING_CODE', { code });
+  pairBtn.textContent = t('pairConnect');
+  if (result.success) {
+    await load();
+    return;
+  }
+  pairBtn.disabled = false;
+  pairFeedbackEl.textContent = result.error || t('pairError');
+  pairFeedbackEl.classList.add('feedback--error');
+});
+
+// ============================================================================
+// Utility
+// ============================================================================
+
+/**
+ * Escape text for HTML content and quoted attribute values.
+ */
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+function formatSlideLabel(slide) {
+  if (slide.label) return t('slideLabel', slide.label);
+  if (slide.filename) {
+    const dotIdx = slide.filename.lastIndexOf('.');
+    return dotIdx > 0 ? slide.filename.substring(0, dotIdx) : slide.filename;
+  }
+  return t('slideLabel', slide.index || '?');
+}
+
+// ============================================================================
+// Init
+// ============================================================================
+
+optionsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+versionEl.textContent = `v${chrome.runtime.getManifest().version}`;
+
+async function load() {
+  // As a window the popup is its own active tab; the page behind it is irrelevant
+  const [tab] = params.size ? [] : await chrome.tabs.query({ active: true, currentWindow: true });
+  const [profile, info, pageCase] = await Promise.all([
+    Profiles.getActiveProfile(),
+    Protocol.ask('GET_AUTH_INFO'),
+    getPageCase(tab),
+  ]);
+  authInfo = info;
+  adapter = await resolveSearchAdapter(tab, pageCase);
+  render(profile);
+
+  // Start from the case asked for, or the one open in the active tab
+  const initialQuery = params.get('case') || params.get('q') || pageCase?.caseBase;
+  if (!authInfo?.authenticated) {
+    pairCodeInput.focus();
+  } else if (initialQuery) {
+    searchInput.value = initialQuery;
+    searchCase(initialQuery);
+  } else {
+    searchInput.focus();
+  }
+}
+
+SuperNaviI18n.ready().then(() => {
+  SuperNaviI18n.applyToDocument();
+  load();
+});
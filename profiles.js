@@ -0,0 +1,216 @@
+/**
+ * SuperNavi Bridge Extension - Connection Profiles
+ *
+ * Named connections to a SuperNavi server: server URL, device token (or the
+ * legacy API key) and a display name, for users who read for more than one
+ * lab. Kept in chrome.storage.local, never synced: a device token belongs to
+ * this computer only.
+ *
+ * Holds secrets, so it is loaded by the service worker and extension pages
+ * only. Content scripts get the public fields through AUTH_INFO. Guarded like
+ * adapters.js.
+ */
+
+(() => {
+  if (globalThis.SuperNaviProfiles) return;
+
+  const PROFILES_KEY = 'profiles';
+  const ACTIVE_KEY = 'activeProfileId';
+  const DEFAULT_PROFILE_ID = 'default';
+  const DEFAULT_API_BASE_URL = 'https://cloud.supernavi.app';
+
+  // Versions up to 1.0.3 kept the credentials in chrome.storage.sync
+  const SYNC_CREDENTIAL_KEYS = ['apiBaseUrl', 'apiKey', 'deviceToken', 'deviceId', 'deviceName'];
+
+  /**
+   * Profile shape:
+   *   id           Random id; 'default' for the first profile
+   *   name         Display name chosen by the user ('' = server host)
+   *   apiBaseUrl   Server URL, without trailing slash
+   *   deviceToken  Pairing credentials ('' when not paired)
+   *   deviceId
+   *   deviceName
+   *   apiKey       Legacy shared key, used when there is no device token
+   */
+  function makeProfile(fields = {}) {
+    return {
+      id: fields.id || crypto.randomUUID(),
+      name: fields.name || '',
+      apiBaseUrl: (fields.apiBaseUrl || DEFAULT_API_BASE_URL).replace(/\/+$/, ''),
+      deviceToken: fields.deviceToken || '',
+      deviceId: fields.deviceId || '',
+      deviceName: fields.deviceName || '',
+      apiKey: fields.apiKey || '',
+    };
+  }
+
+  // The service worker (pairing, logout, revoked tokens) and the options page
+  // both rewrite the profile list; one read-modify-write at a time, so a
+  // cleared token can't come back and a new profile can't be dropped
+  let writeQueue = Promise.resolve();
+
+  function serialized(update) {
+    const run = writeQueue.then(update);
+    writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  async function readState() {
+    const state = await chrome.storage.local.get({ [PROFILES_KEY]: [], [ACTIVE_KEY]: '' });
+    return { profiles: state[PROFILES_KEY], activeId: state[ACTIVE_KEY] };
+  }
+
+  async function getProfiles() {
+    const { profiles } = await readState();
+    return profiles.length ? profiles : [makeProfile({ id: DEFAULT_PROFILE_ID })];
+  }
+
+  /**
+   * The profile in use. Before anything was saved this is an unsaved default
+   * profile, which updateProfile() stores on first write.
+   */
+  async function getActiveProfile() {
+    const { activeId } = await readState();
+    const profiles = await getProfiles();
+    return profiles.find(p => p.id === activeId) || profiles[0];
+  }
+
+  async function getProfile(id) {
+    return (await getProfiles()).find(p => p.id === id) || null;
+  }
+
+  function setActiveProfile(id) {
+    return serialized(async () => {
+      const profiles = await getProfiles();
+      if (!profiles.some(p => p.id === id)) throw new Error(`Unknown profile: ${id}`);
+      await chrome.storage.local.set({ [PROFILES_KEY]: profiles, [ACTIVE_KEY]: id });
+    });
+  }
+
+  /**
+   * Merge `changes` into profile `id` (created when missing) and return it.
+   */
+  function updateProfile(id, changes) {
+    return serialized(async () => {
+      const profiles = await getProfiles();
+      const index = profiles.findIndex(p => p.id === id);
+      const profile = makeProfile({ ...(index >= 0 ? profiles[index] : {}), ...changes, id });
+      if (index >= 0) profiles[index] = profile;
+      else profiles.push(profile);
+      await chrome.storage.local.set({ [PROFILES_KEY]: profiles });
+      return profile;
+    });
+  }
+
+  /**
+   * Add a profile and make it the active one.
+   */
+  function createProfile(fields) {
+    return serialized(async () => {
+      const profile = makeProfile({ ...fields, id: undefined });
+      const profiles = await getProfiles();
+      await chrome.storage.local.set({ [PROFILES_KEY]: [...profiles, profile], [ACTIVE_KEY]: profile.id });
+      return profile;
+    });
+  }
+
+  /**
+   * Delete a profile; the first remaining one becomes active. The last
+   * profile cannot be removed, only unpaired.
+   */
+  function removeProfile(id) {
+    return serialized(async () => {
+      const { activeId } = await readState();
+      const profiles = (await getProfiles()).filter(p => p.id !== id);
+      if (!profiles.length) throw new Error('Cannot remove the last profile');
+      await chrome.storage.local.set({
+        [PROFILES_KEY]: profiles,
+        [ACTIVE_KEY]: activeId === id || !activeId ? profiles[0].id : activeId,
+      });
+    });
+  }
+
+  /**
+   * Forget the device token of a profile (logout, revoked device). The
+   * server URL, name and any legacy API key stay.
+   */
+  function clearPairing(id) {
+    return updateProfile(id, { deviceToken: '', deviceId: '', deviceName: '' });
+  }
+
+  function isConfigured(profile) {
+    return !!(profile.deviceToken || profile.apiKey);
+  }
+
+  /**
+   * Name to show: the user's, else the server host.
+   */
+  function profileLabel(profile) {
+    if (profile.name) return profile.name;
+    try {
+      return new URL(profile.apiBaseUrl).host;
+    } catch {
+      return profile.apiBaseUrl;
+    }
+  }
+
+  /**
+   * Fields that are safe to hand to content scripts.
+   */
+  function publicProfile(profile) {
+    return {
+      id: profile.id,
+      label: profileLabel(profile),
+      apiBaseUrl: profile.apiBaseUrl,
+      configured: isConfigured(profile),
+    };
+  }
+
+  /**
+   * Move credentials left in chrome.storage.sync by older versions into the
+   * default profile, then delete them from sync. A computer that already has
+   * profiles keeps its own and just drops the synced copy.
+   */
+  function migrateFromSync() {
+    return serialized(async () => {
+      const synced = await chrome.storage.sync.get(SYNC_CREDENTIAL_KEYS);
+      if (!Object.keys(synced).length) return false;
+
+      const { profiles } = await readState();
+      if (!profiles.length) {
+        await chrome.storage.local.set({
+          [PROFILES_KEY]: [makeProfile({ ...synced, id: DEFAULT_PROFILE_ID })],
+          [ACTIVE_KEY]: DEFAULT_PROFILE_ID,
+        });
+      }
+      await chrome.storage.sync.remove(SYNC_CREDENTIAL_KEYS);
+      return true;
+    });
+  }
+
+  /**
+   * Run `listener` whenever profiles or the active profile change.
+   */
+  function onChange(listener) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && (changes[PROFILES_KEY] || changes[ACTIVE_KEY])) listener();
+    });
+  }
+
+  globalThis.SuperNaviProfiles = {
+    DEFAULT_API_BASE_URL,
+    getProfiles,
+    getActiveProfile,
+    getProfile,
+    setActiveProfile,
+    updateProfile,
+    createProfile,
+    removeProfile,
+    clearPairing,
+    isConfigured,
+    profileLabel,
+    publicProfile,
+    migrateFromSync,
+    onChange,
+  };
+})();
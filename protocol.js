@@ -0,0 +1,230 @@
+/**
+ * SuperNavi Bridge Extension - Message Protocol
+ *
+ * Requests from content scripts, the popup and the options page to the
+ * service worker. Every request carries the protocol version and a request
+ * id, is checked against its schema on both ends, and is answered through
+ * sendResponse with the same id, so it works from pages without a tab and
+ * the caller gets its answer as a promise. Messages the service worker
+ * sends on its own (status pushes, AUTH_INFO broadcasts, commands) still go
+ * to tabs with chrome.tabs.sendMessage.
+ *
+ * After an extension update, content scripts already in open pages keep
+ * running the old code but can no longer reach the service worker, or reach
+ * one speaking another version. Both come out as a 'stale' ProtocolError and
+ * run the onStale listeners, so the page can ask to be reloaded.
+ *
+ * Shared by content scripts, the service worker and extension pages. Loaded
+ * as a classic script and guarded like adapters.js.
+ */
+
+(() => {
+  if (globalThis.SuperNaviProtocol) return;
+
+  // Bump on any incompatible change to the messages below
+  const PROTOCOL_VERSION = 1;
+
+  const PROTOCOL_ERROR = {
+    STALE: 'stale',               // Sender and service worker are different versions
+    INVALID: 'invalid',           // Payload doesn't match the schema
+    UNKNOWN_TYPE: 'unknown-type',
+    FAILED: 'failed',             // The handler threw
+    TIMEOUT: 'timeout',           // No reply in time (lost sendResponse, worker stopped)
+  };
+
+  // Generous: handlers wait on API calls that have their own timeouts and retries
+  const REQUEST_TIMEOUT_MS = 60_000;
+
+  /**
+   * Payload fields per request type. A trailing '?' makes the field optional
+   * (undefined or null); 'string[]' is an array of strings. Fields not listed
+   * are not checked.
+   */
+  const SCHEMAS = {
+    GET_AUTH_INFO: {},
+    CLAIM_PAIRING_CODE: { code: 'string' },
+    SWITCH_PROFILE: { profileId: 'string' },
+    PROFILE_CHANGED: {},
+    LOGOUT: {},
+    GET_DEVICES: {},
+    GET_ORG_POLICY: {},
+    GET_MESSAGES: { lang: 'string' },
+    GET_LOGO: {},
+    REVOKE_DEVICE: { deviceId: 'string' },
+    CASE_DETECTED: { caseBase: 'string', externalCaseId: 'string?' },
+    CASE_CLEARED: {},
+    GET_CASE_STATUS: { caseBase: 'string' },
+    REFRESH_STATUS: { caseBase: 'string' },
+    BATCH_CASE_STATUS: { caseBases: 'string[]' },
+    REQUEST_VIEWER_LINK: { slideId: 'string', externalCaseId: 'string?', patientData: 'object?', alongside: 'boolean?' },
+    REQUEST_VIEWER_LINKS: { slideIds: 'string[]', externalCaseId: 'string?', patientData: 'object?' },
+    ENRICH_CASE: { caseBase: 'string', externalCaseId: 'string?', patientData: 'object' },
+    GET_PATIENT_CASES: { externalPatientId: 'string', externalCaseId: 'string?' },
+  };
+
+  class ProtocolError extends Error {
+    constructor(code, message) {
+      super(message || code);
+      this.name = 'ProtocolError';
+      this.code = code;
+    }
+  }
+
+  function matchesSpec(value, spec) {
+    if (spec.endsWith('?')) {
+      if (value === undefined || value === null) return true;
+      spec = spec.slice(0, -1);
+    }
+    if (spec === 'string[]') return Array.isArray(value) && value.every(v => typeof v === 'string');
+    if (spec === 'object') return typeof value === 'object' && value !== null && !Array.isArray(value);
+    return typeof value === spec;
+  }
+
+  /**
+   * Check a request against its schema. Returns null when it's valid, or
+   * what's wrong with it.
+   */
+  function validate(message) {
+    const schema = SCHEMAS[message?.type];
+    if (!schema) return `unknown type ${message?.type}`;
+    for (const [field, spec] of Object.entries(schema)) {
+      if (!matchesSpec(message[field], spec)) return `${message.type}.${field} must be ${spec}`;
+    }
+    return null;
+  }
+
+  // Unique enough to pair replies with requests; crypto.randomUUID() needs a
+  // secure context, which case system pages on http are not
+  const idPrefix = Math.random().toString(36).slice(2, 10);
+  let idSeq = 0;
+
+  const staleListeners = [];
+  let staleReported = false;
+
+  function reportStale() {
+    if (staleReported) return;
+    staleReported = true;
+    staleListeners.forEach(listener => listener());
+  }
+
+  /**
+   * Run `listener` once, the first time a request finds this script outdated.
+   */
+  function onStale(listener) {
+    staleListeners.push(listener);
+  }
+
+  function stale(detail) {
+    reportStale();
+    return new ProtocolError(PROTOCOL_ERROR.STALE, detail);
+  }
+
+  /**
+   * Send a request to the service worker. Resolves with its reply (without
+   * the envelope fields); rejects with a ProtocolError when the payload is
+   * invalid, the script is stale, the handler failed or no reply came in time.
+   */
+  async function request(type, payload = {}) {
+    const requestId = `${idPrefix}-${++idSeq}`;
+    const message = { ...payload, type, v: PROTOCOL_VERSION, requestId };
+    const invalid = validate(message);
+    if (invalid) throw new ProtocolError(PROTOCOL_ERROR.INVALID, invalid);
+
+    // The runtime id goes away when the extension is reloaded or updated
+    if (!chrome.runtime?.id) throw stale('Extension context invalidated');
+
+    let reply;
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new ProtocolError(PROTOCOL_ERROR.TIMEOUT, `No reply to ${type}`)), REQUEST_TIMEOUT_MS);
+    });
+    try {
+      reply = await Promise.race([chrome.runtime.sendMessage(message), timeout]);
+    } catch (err) {
+      if (/context invalidated/i.test(err.message)) throw stale(err.message);
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!reply || reply.requestId !== requestId) {
+      throw new ProtocolError(PROTOCOL_ERROR.FAILED, `No reply to ${type}`);
+    }
+    const { v, protocolError, ...rest } = reply;
+    delete rest.requestId;
+    if (protocolError === PROTOCOL_ERROR.STALE) throw stale(`Service worker speaks protocol v${v}`);
+    if (protocolError) throw new ProtocolError(protocolError, rest.error);
+    return rest;
+  }
+
+  /**
+   * request() for extension pages: a failure resolves as an error reply,
+   * `{ success: false, code }`, which they already show like an API error,
+   * so no button or loading state is left hanging.
+   */
+  function ask(type, payload) {
+    return request(type, payload).catch(err => ({ success: false, code: err.code || PROTOCOL_ERROR.FAILED }));
+  }
+
+  /**
+   * Fire-and-forget request. Failures are only logged, in debug mode; a
+   * stale script still runs the onStale listeners.
+   */
+  function send(type, payload) {
+    request(type, payload).catch(err => {
+      // Reading the flag can itself fail once the extension context is gone
+      Promise.resolve()
+        .then(() => chrome.storage.sync.get({ debug: false }))
+        .then(({ debug }) => {
+          if (debug) console.warn('[SuperNavi]', type, 'failed:', err.message);
+        })
+        .catch(() => {});
+    });
+  }
+
+  /**
+   * Serve requests in the service worker. `handlers` maps each type to
+   * `(message, sender) => reply`, sync or async; the reply (an object, or
+   * nothing) goes back through sendResponse with the request id.
+   */
+  function listen(handlers) {
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (typeof message?.type !== 'string') return;
+      const respond = (reply) => sendResponse({ ...reply, v: PROTOCOL_VERSION, requestId: message.requestId });
+
+      // Another version, or none: a content script left from an older release
+      if (message.v !== PROTOCOL_VERSION) {
+        respond({ protocolError: PROTOCOL_ERROR.STALE });
+        return;
+      }
+      const handler = handlers[message.type];
+      if (!handler) {
+        respond({ protocolError: PROTOCOL_ERROR.UNKNOWN_TYPE, error: `unknown type ${message.type}` });
+        return;
+      }
+      const invalid = validate(message);
+      if (invalid) {
+        respond({ protocolError: PROTOCOL_ERROR.INVALID, error: invalid });
+        return;
+      }
+
+      Promise.resolve()
+        .then(() => handler(message, sender))
+        .then(reply => respond(reply))
+        .catch(err => respond({ protocolError: PROTOCOL_ERROR.FAILED, error: err.message }));
+      return true;
+    });
+  }
+
+  globalThis.SuperNaviProtocol = {
+    PROTOCOL_VERSION,
+    PROTOCOL_ERROR,
+    ProtocolError,
+    validate,
+    request,
+    ask,
+    send,
+    listen,
+    onStale,
+  };
+})();
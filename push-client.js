@@ -0,0 +1,123 @@
+/**
+ * SuperNavi Bridge Extension - Cloud Push Client
+ *
+ * Server-Sent Events over fetch() for the service worker (EventSource can't
+ * send the device token header). Parses text/event-stream and reports
+ * failures as ApiError, like api-client.js, which it builds on.
+ */
+
+const PUSH_CONNECT_TIMEOUT_MS = 15_000;
+
+// The server pings at least every 30s; silence beyond this means a dead link
+const PUSH_IDLE_TIMEOUT_MS = 75_000;
+
+/**
+ * Incremental text/event-stream parser. Feed it decoded chunks; it calls
+ * `onEvent({ type, data, id })` once per complete event. `id` is the last
+ * event id seen, as the format defines it.
+ */
+function createSseParser(onEvent) {
+  let buffer = '';
+  let type = '';
+  let data = [];
+  let id = null;
+
+  function dispatch() {
+    if (data.length) onEvent({ type: type || 'message', data: data.join('\n'), id });
+    type = '';
+    data = [];
+  }
+
+  function readLine(line) {
+    if (line === '') return dispatch();
+    if (line.startsWith(':')) return; // Comment: the server's keepalive ping
+    const colon = line.indexOf(':');
+    const field = colon < 0 ? line : line.slice(0, colon);
+    let value = colon < 0 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+    if (field === 'event') type = value;
+    else if (field === 'data') data.push(value);
+    else if (field === 'id' && !value.includes('\0')) id = value;
+  }
+
+  return (chunk) => {
+    buffer += chunk;
+    // A trailing \r may be the first half of a \r\n split across chunks
+    const lines = buffer.split(/\r\n|\n|\r(?!$)/);
+    buffer = lines.pop();
+    lines.forEach(readLine);
+  };
+}
+
+/**
+ * Read an event stream into `onEvent` until it ends. Resolves when the server
+ * closes it or `signal` aborts; rejects with an ApiError when the connection
+ * fails, is refused or goes silent.
+ *
+ * Options:
+ *   headers      Extra request headers (credentials)
+ *   lastEventId  Sent as Last-Event-ID so the server can replay missed events
+ *   signal       AbortSignal to close the stream
+ *   onOpen       Called once the server accepted the stream
+ *   onEvent      Called with { type, data, id } per event
+ */
+async function openEventStream(url, { headers = {}, lastEventId = null, signal, onOpen, onEvent }) {
+  const controller = new AbortController();
+  signal?.addEventListener('abort', () => controller.abort());
+
+  let timedOut = false;
+  let timer = null;
+  const armTimer = (ms) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, ms);
+  };
+  const failure = (err, fallback) => {
+    if (timedOut) return new ApiError(API_ERROR.TIMEOUT, 'Event stream timed out');
+    return new ApiError(API_ERROR.OFFLINE, err.message || fallback);
+  };
+
+  armTimer(PUSH_CONNECT_TIMEOUT_MS);
+  try {
+    let response;
+    try {
+      response = await fetch(url, {
+        headers: {
+          Accept: 'text/event-stream',
+          ...(lastEventId ? { 'Last-Event-ID': lastEventId } : {}),
+          ...headers,
+        },
+        cache: 'no-store',
+        signal: controller.signal,
+      });
+    } catch (err) {
+      if (signal?.aborted) return;
+      throw failure(err, 'Network error');
+    }
+
+    if (!response.ok) throw errorForResponse(response, await response.text().catch(() => ''));
+    if (!response.headers.get('Content-Type')?.startsWith('text/event-stream')) {
+      throw new ApiError(API_ERROR.CLIENT, 'Not an event stream', { status: response.status });
+    }
+
+    onOpen?.();
+    const feed = createSseParser(onEvent);
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    for (;;) {
+      armTimer(PUSH_IDLE_TIMEOUT_MS);
+      let chunk;
+      try {
+        chunk = await reader.read();
+      } catch (err) {
+        if (signal?.aborted) return;
+        throw failure(err, 'Event stream interrupted');
+      }
+      if (chunk.done) return;
+      feed(chunk.value);
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+}
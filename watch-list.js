@@ -0,0 +1,116 @@
+/**
+ * SuperNavi Bridge Extension - Watched Cases
+ *
+ * Cases whose processing slides the user asked to be told about. The service
+ * worker checks them on a chrome.alarms timer, with or without a case system
+ * tab open, and notifies as slides become ready. Kept in chrome.storage.local
+ * so the list survives service worker and browser restarts.
+ *
+ * Shared by content scripts, the service worker and the options page. Loaded
+ * as a classic script and guarded like adapters.js.
+ */
+
+(() => {
+  if (globalThis.SuperNaviWatchList) return;
+
+  const STORAGE_KEY = 'watchedCases';
+
+  // A scan that has not finished in a week is not coming: stop asking
+  const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+  /**
+   * Entry shape:
+   *   profileId       Connection profile the case was watched under
+   *   namespace       Adapter externalIdNamespace ('pathoweb')
+   *   caseBase        Normalized case number ('AP26000230')
+   *   externalCaseId  Namespaced case id, for viewer links
+   *   readySlideIds   Slides already ready at the last check; new ones notify
+   *   processing      Processing slide count at the last check
+   *   watchedAt       When the watch started (ms)
+   *   checkedAt       Last check (ms), or null before the first one
+   */
+
+  async function getWatched() {
+    const { [STORAGE_KEY]: entries } = await chrome.storage.local.get({ [STORAGE_KEY]: [] });
+    return entries;
+  }
+
+  // The service worker's checks and the user's watch/unwatch clicks update
+  // the same list; run the updates one after another
+  let writeQueue = Promise.resolve();
+
+  function serialized(update) {
+    const run = writeQueue.then(update);
+    writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  const matches = ({ profileId, namespace, caseBase }) => e =>
+    e.profileId === profileId && e.namespace === namespace && e.caseBase === caseBase;
+
+  /**
+   * Start watching a case, from its current `status` so slides that are
+   * already ready don't notify.
+   */
+  function watch({ profileId, namespace, caseBase, externalCaseId }, status) {
+    return serialized(async () => {
+      const entries = (await getWatched()).filter(e => !matches({ profileId, namespace, caseBase })(e));
+      entries.push({
+        profileId,
+        namespace,
+        caseBase,
+        externalCaseId,
+        readySlideIds: (status?.readySlides || []).map(s => s.slideId),
+        processing: status?.processingSlides?.length || 0,
+        watchedAt: Date.now(),
+        checkedAt: null,
+      });
+      await chrome.storage.local.set({ [STORAGE_KEY]: entries });
+    });
+  }
+
+  function unwatch(key) {
+    return serialized(async () => {
+      const entries = await getWatched();
+      const remaining = entries.filter(e => !matches(key)(e));
+      if (remaining.length !== entries.length) await chrome.storage.local.set({ [STORAGE_KEY]: remaining });
+    });
+  }
+
+  /**
+   * Store what a check saw, so the next one only notifies about newer slides.
+   */
+  function recordCheck(key, status) {
+    return serialized(async () => {
+      const entries = await getWatched();
+      const entry = entries.find(matches(key));
+      if (!entry) return;
+      entry.readySlideIds = (status.readySlides || []).map(s => s.slideId);
+      entry.processing = status.processingSlides?.length || 0;
+      entry.checkedAt = Date.now();
+      await chrome.storage.local.set({ [STORAGE_KEY]: entries });
+    });
+  }
+
+  function isExpired(entry) {
+    return Date.now() - entry.watchedAt > MAX_AGE_MS;
+  }
+
+  /**
+   * Run `listener` whenever the watch list changes, in any context.
+   */
+  function onChange(listener) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes[STORAGE_KEY]) listener();
+    });
+  }
+
+  globalThis.SuperNaviWatchList = {
+    getWatched,
+    watch,
+    unwatch,
+    recordCheck,
+    isExpired,
+    onChange,
+  };
+})();